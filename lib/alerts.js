@@ -0,0 +1,246 @@
+// Alerts people to new development applications that match their saved watches.  A watch is one
+// of the following (see WatchTypes):
+//
+//     street   a street name from streetnames.txt (for example, "Main North Road")
+//     suburb   a suburb from suburbnames.txt (for example, "PROSPECT")
+//     keyword  a word or phrase in the description (for example, "demolition")
+//     prefix   the start of an application number (for example, "060/33")
+//
+// Each watch notifies either a webhook (an "http:" or "https:" URL, which is sent a POST request
+// containing JSON) or an email address (a "mailto:" URL, which is sent an email through the SMTP
+// server in the alert options).  An alert is recorded in the alerts table before it is sent, so
+// that a development application is never alerted twice for the same watch, and an alert that
+// could not be sent is retried later (see sendPendingAlerts).
+
+"use strict";
+
+let os = require("os");
+let net = require("net");
+let request = require("request-promise-native");
+let database = require("./database.js");
+
+const WatchTypes = {
+    Street: "street",
+    Suburb: "suburb",
+    Keyword: "keyword",
+    Prefix: "prefix"
+};
+
+const MaximumAttempts = 5;  // give up on sending an alert after this many attempts
+const DefaultSmtpPort = 25;
+const Timeout = 30000;  // milliseconds to wait for a webhook or SMTP server to respond
+
+// Escapes the characters that have a special meaning in regular expressions.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Gets the suburb (without the state and postcode) of each line of suburbnames.txt (for example,
+// "PROSPECT" for "PROSPECT SA 5082").
+
+function getSuburbs(suburbNames) {
+    return suburbNames.map(suburbName => suburbName.replace(/\s+[A-Z]{2,3}\s+[0-9]{4}$/, "").trim());
+}
+
+// Validates a watch, using options.streetNames and options.suburbNames to check street and suburb
+// names.  Returns the watch with the value written in the same way as in the list of street or
+// suburb names.  Throws an error if the watch is not valid.
+
+function createWatch(type, value, notify, options) {
+    value = (value || "").trim();
+    if (value === "")
+        throw new Error("The value of a watch cannot be empty.");
+    if (!/^(https?:\/\/\S+|mailto:[^@\s]+@[^@\s]+)$/i.test(notify || ""))
+        throw new Error(`The watch must notify a webhook (an "http:" or "https:" URL) or an email address (a "mailto:" URL), not "${notify}".`);
+
+    if (type === WatchTypes.Street || type === WatchTypes.Suburb) {
+        let names = (type === WatchTypes.Street) ? options.streetNames : getSuburbs(options.suburbNames);
+        let name = names.find(name => name.toLowerCase() === value.toLowerCase());
+        if (name === undefined)
+            throw new Error(`The ${type} "${value}" is not in the list of ${type} names.`);
+        value = name;
+    } else if (type !== WatchTypes.Keyword && type !== WatchTypes.Prefix)
+        throw new Error(`Unknown watch type "${type}" (use ${Object.keys(WatchTypes).map(key => "\"" + WatchTypes[key] + "\"").join(", ")}).`);
+
+    return { type: type, value: value, notify: notify };
+}
+
+// Determines whether a development application matches a watch (ignoring case).
+
+function matchesWatch(watch, developmentApplication) {
+    let components = developmentApplication.addressComponents || {};
+    if (watch.type === WatchTypes.Street)
+        return [ components.streetName, components.streetType ].filter(part => part).join(" ").toLowerCase() === watch.value.toLowerCase();
+    else if (watch.type === WatchTypes.Suburb)
+        return (components.suburb || "").toLowerCase() === watch.value.toLowerCase();
+    else if (watch.type === WatchTypes.Keyword)
+        return new RegExp(`\\b${escapeRegExp(watch.value)}\\b`, "i").test(developmentApplication.description || "");
+    else if (watch.type === WatchTypes.Prefix)
+        return developmentApplication.applicationNumber.toLowerCase().startsWith(watch.value.toLowerCase());
+    return false;
+}
+
+// Records a pending alert for each saved watch that a new development application matches.
+// Returns the number of watches matched.
+
+async function queueAlerts(sqliteDatabase, developmentApplication) {
+    let watches = (await database.getWatches(sqliteDatabase)).filter(watch => matchesWatch(watch, developmentApplication));
+    if (watches.length > 0)
+        await database.insertAlerts(sqliteDatabase, developmentApplication.applicationNumber, watches.map(watch => watch.id));
+    return watches.length;
+}
+
+// Creates the notification of a development application (a row of the data table) for the
+// watches that it matched.
+
+function createNotification(row, watches) {
+    return {
+        watches: watches.map(watch => { return { id: watch.watch_id, type: watch.type, value: watch.value }; }),
+        application: {
+            applicationNumber: row.council_reference,
+            address: row.address,
+            description: row.description,
+            receivedDate: row.date_received,
+            informationUrl: row.info_url,
+            commentUrl: row.comment_url
+        }
+    };
+}
+
+// Formats a notification as the subject and text of an email.
+
+function formatEmail(notification) {
+    let application = notification.application;
+    return {
+        subject: `New development application ${application.applicationNumber}: ${application.address}`,
+        text: [
+            `A new development application matches your watch (${notification.watches.map(watch => watch.type + " \"" + watch.value + "\"").join(", ")}).`,
+            "",
+            `Application number: ${application.applicationNumber}`,
+            `Address: ${application.address}`,
+            `Description: ${application.description}`,
+            `Received date: ${application.receivedDate}`,
+            `Document: ${application.informationUrl}`,
+            `Comments: ${application.commentUrl}`
+        ].join("\r\n")
+    };
+}
+
+// Sends an email through an SMTP server (without authentication or encryption, so this is
+// intended for a local mail relay).  The options are smtpHost, smtpPort and smtpFrom.
+
+function sendEmail(options, to, subject, text) {
+    if (!options.smtpHost || !options.smtpFrom)
+        return Promise.reject(new Error("No SMTP server is configured for email alerts."));
+
+    let message = [
+        `From: ${options.smtpFrom}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text.replace(/^\./gm, "..")  // a line starting with a full stop would otherwise be misinterpreted
+    ].join("\r\n");
+
+    // Each command is sent after the response to the previous command (the first response is the
+    // greeting from the server).  The expected responses are 2xx, except 3xx after "DATA".
+
+    let steps = [
+        { command: null, expectedCode: "2" },
+        { command: `EHLO ${os.hostname()}`, expectedCode: "2" },
+        { command: `MAIL FROM:<${options.smtpFrom}>`, expectedCode: "2" },
+        { command: `RCPT TO:<${to}>`, expectedCode: "2" },
+        { command: "DATA", expectedCode: "3" },
+        { command: message + "\r\n.", expectedCode: "2" },
+        { command: "QUIT", expectedCode: "2" }
+    ];
+
+    return new Promise((resolve, reject) => {
+        let stepIndex = 0;
+        let received = "";
+        let socket = net.connect(options.smtpPort || DefaultSmtpPort, options.smtpHost);
+        socket.setEncoding("utf8");
+        socket.setTimeout(Timeout, () => socket.destroy(new Error(`The SMTP server ${options.smtpHost} did not respond.`)));
+        socket.on("error", reject);
+        socket.on("close", () => reject(new Error(`The SMTP server ${options.smtpHost} closed the connection.`)));  // has no effect once resolved
+        socket.on("data", data => {
+            received += data;
+            let lines = received.split("\r\n");
+            received = lines.pop();
+            for (let line of lines) {
+                if (/^\d{3}-/.test(line))
+                    continue;  // the response continues on the next line
+                if (line[0] !== steps[stepIndex].expectedCode) {
+                    socket.destroy(new Error(`The SMTP server ${options.smtpHost} responded with "${line}".`));
+                    return;
+                }
+                if (++stepIndex === steps.length) {
+                    socket.end();
+                    resolve();
+                    return;
+                }
+                socket.write(steps[stepIndex].command + "\r\n");
+            }
+        });
+    });
+}
+
+// Sends a notification to a webhook or email address.
+
+async function sendNotification(notify, notification, options) {
+    if (/^mailto:/i.test(notify)) {
+        let email = formatEmail(notification);
+        await sendEmail(options, notify.substring("mailto:".length), email.subject, email.text);
+    } else
+        await request({ method: "POST", uri: notify, json: notification, timeout: Timeout });
+}
+
+// Sends the pending alerts.  The alerts of a development application that are for several
+// watches with the same webhook or email address are sent as a single notification.  An alert
+// that cannot be sent remains pending (and so is retried the next time that this is called)
+// until it has failed too many times.  The options are smtpHost, smtpPort and smtpFrom (used for
+// email alerts).  Returns the number of notifications sent and the number that failed.
+
+async function sendPendingAlerts(sqliteDatabase, options) {
+    let groups = new Map();
+    for (let alert of await database.getPendingAlerts(sqliteDatabase)) {
+        let key = JSON.stringify([ alert.council_reference, alert.notify ]);
+        if (!groups.has(key))
+            groups.set(key, []);
+        groups.get(key).push(alert);
+    }
+
+    let result = { sent: 0, failed: 0 };
+    for (let alerts of groups.values()) {
+        let applicationNumber = alerts[0].council_reference;
+        let notify = alerts[0].notify;
+        try {
+            await sendNotification(notify, createNotification(alerts[0], alerts), options || {});
+            console.log(`    Sent an alert for application "${applicationNumber}" to ${notify}.`);
+            for (let alert of alerts)
+                await database.updateAlertStatus(sqliteDatabase, alert.watch_id, applicationNumber, database.AlertStatus.Sent, alert.attempts + 1);
+            result.sent++;
+        } catch (error) {
+            console.log(`    Could not send an alert for application "${applicationNumber}" to ${notify}: ${error.message}`);
+            for (let alert of alerts) {
+                let status = (alert.attempts + 1 >= MaximumAttempts) ? database.AlertStatus.Failed : database.AlertStatus.Pending;
+                await database.updateAlertStatus(sqliteDatabase, alert.watch_id, applicationNumber, status, alert.attempts + 1, error.message);
+            }
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    WatchTypes: WatchTypes,
+    createWatch: createWatch,
+    matchesWatch: matchesWatch,
+    queueAlerts: queueAlerts,
+    sendEmail: sendEmail,
+    sendPendingAlerts: sendPendingAlerts
+};
@@ -0,0 +1,93 @@
+// Parses development application numbers such as "060/331/2018" into a council code ("060"), a
+// sequence number ("331") and a year (2018), correcting characters that OCR commonly confuses
+// with digits (for example, "06O/33l/2018" is corrected to "060/331/2018").
+
+"use strict";
+
+const ApplicationNumberPattern = /^(\d{3})\/(\d{1,5})\/(\d{4})$/;  // council code, sequence number and year
+const UnseparatedPattern = /^(\d{3})\/?(\d{1,5})\/?(\d{4})$/;  // the same, but with one or both slashes missing
+const MinimumYear = 1990;  // application numbers with an earlier year are assumed to be misread
+
+// Characters that OCR commonly produces in place of digits.
+
+const DigitConfusions = {
+    "O": "0", "o": "0", "Q": "0", "D": "0",
+    "l": "1", "I": "1", "i": "1", "|": "1", "!": "1",
+    "S": "5", "s": "5",
+    "B": "8",
+    "Z": "2", "z": "2"
+};
+
+// Parses an application number, correcting common OCR confusions and any missing slashes.
+// Returns the corrected text and the components of the application number, or null if the
+// text cannot be parsed as an application number (even after corrections).
+
+function parseApplicationNumber(text) {
+    let correctedText = text.replace(/\s/g, "").split("").map(character => DigitConfusions[character] || character).join("");
+    let match = ApplicationNumberPattern.exec(correctedText) || UnseparatedPattern.exec(correctedText);
+    if (match === null || Number(match[3]) < MinimumYear)
+        return null;
+
+    return {
+        text: `${match[1]}/${match[2]}/${match[3]}`,
+        councilCode: match[1],
+        sequenceNumber: match[2],
+        year: Number(match[3])
+    };
+}
+
+// Corrects an application number (see parseApplicationNumber), returning the text unchanged if
+// it cannot be parsed as an application number.
+
+function correctApplicationNumber(text) {
+    let applicationNumber = parseApplicationNumber(text);
+    return (applicationNumber === null) ? text : applicationNumber.text;
+}
+
+// Calculates the Levenshtein edit distance between two strings (the number of characters that
+// must be inserted, deleted or replaced to change one string into the other).
+
+function getEditDistance(text1, text2) {
+    let previousRow = [];
+    for (let index2 = 0; index2 <= text2.length; index2++)
+        previousRow.push(index2);
+
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let row = [ index1 ];
+        for (let index2 = 1; index2 <= text2.length; index2++) {
+            let cost = (text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1;
+            row.push(Math.min(previousRow[index2] + 1, row[index2 - 1] + 1, previousRow[index2 - 1] + cost));
+        }
+        previousRow = row;
+    }
+
+    return previousRow[text2.length];
+}
+
+// Determines whether two (corrected) application numbers differ by a single character, as
+// happens when OCR misreads one digit (for example, "060/331/2018" and "060/381/2018").
+
+function isNearApplicationNumber(applicationNumber1, applicationNumber2) {
+    return applicationNumber1 !== applicationNumber2 && getEditDistance(applicationNumber1, applicationNumber2) <= 1;
+}
+
+// Checks that an application number is in the expected format and that its year agrees with the
+// received date (formatted as YYYY-MM-DD, or blank if the received date is not known).  Returns a
+// warning for each problem.
+
+function checkApplicationNumber(text, receivedDate) {
+    let applicationNumber = parseApplicationNumber(text);
+    if (applicationNumber === null)
+        return [ `The application number "${text}" is not in the expected format.` ];
+    else if (receivedDate !== "" && Number(receivedDate.substring(0, 4)) !== applicationNumber.year)
+        return [ `The year of the application number "${text}" does not agree with the received date ${receivedDate}.` ];
+    return [];
+}
+
+module.exports = {
+    parseApplicationNumber: parseApplicationNumber,
+    checkApplicationNumber: checkApplicationNumber,
+    correctApplicationNumber: correctApplicationNumber,
+    getEditDistance: getEditDistance,
+    isNearApplicationNumber: isNearApplicationNumber
+};
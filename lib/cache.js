@@ -0,0 +1,102 @@
+// Caches the lines of words recognised by OCR in each image of a PDF file (see parseImage), so
+// that parsing the same image again does not repeat the very expensive OCR.  Each cache entry is
+// a JSON file in the cache directory, named after a hash of the decoded image data and of the
+// settings that affect OCR (so an entry is found again even if the PDF file is downloaded again
+// or the image moves to a different page or PDF file).
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let crypto = require("crypto");
+
+const CacheVersion = 1;  // increase this when a change to parseImage makes existing cache entries invalid
+const CacheFileExtension = ".json";
+
+// Gets the cache key for an image: a hash of the dimensions and data of the image along with the
+// settings (such as the scale factor and the section height) that affect the OCR results.
+
+function getCacheKey(image, settings) {
+    let hash = crypto.createHash("sha256");
+    hash.update(JSON.stringify({ version: CacheVersion, width: image.width, height: image.height, settings: settings }));
+    hash.update(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength));
+    return hash.digest("hex");
+}
+
+// Reads the cached lines of words for the specified cache key.  Returns null if there is no
+// cache entry for that key (or the cache entry cannot be read).
+
+function readCachedLines(directory, key) {
+    let fileName = path.join(directory, key + CacheFileExtension);
+    if (!fs.existsSync(fileName))
+        return null;
+    try {
+        return JSON.parse(fs.readFileSync(fileName).toString()).lines;
+    } catch (error) {
+        console.log(`Ignoring unreadable OCR cache entry: ${fileName}`);
+        return null;
+    }
+}
+
+// Writes the lines of words for the specified cache key, along with where the image was found
+// (the origin includes the page number and image number) for inspecting the cache later.  The
+// entry is written to a temporary file first so that an interrupted write does not leave a
+// partial cache entry.
+
+function writeCachedLines(directory, key, pdfUrl, origin, lines) {
+    fs.mkdirSync(directory, { recursive: true });  // the directory (and its parents) may not exist yet
+    let fileName = path.join(directory, key + CacheFileExtension);
+    let entry = { pdfUrl: pdfUrl, pageNumber: origin.pageNumber, imageNumber: origin.imageNumber, dateCached: new Date().toISOString(), lines: lines };
+    fs.writeFileSync(fileName + ".tmp", JSON.stringify(entry));
+    fs.renameSync(fileName + ".tmp", fileName);
+}
+
+// Lists the entries in the cache (without their lines of words), ordered by the date cached.
+
+function listCache(directory) {
+    if (!fs.existsSync(directory))
+        return [];
+
+    let entries = [];
+    for (let fileName of fs.readdirSync(directory).filter(fileName => fileName.endsWith(CacheFileExtension))) {
+        let filePath = path.join(directory, fileName);
+        let entry = { key: path.basename(fileName, CacheFileExtension), size: fs.statSync(filePath).size, pdfUrl: null, pageNumber: null, imageNumber: null, dateCached: null, lineCount: 0, wordCount: 0 };
+        try {
+            let contents = JSON.parse(fs.readFileSync(filePath).toString());
+            entry.pdfUrl = contents.pdfUrl;
+            entry.pageNumber = contents.pageNumber;
+            entry.imageNumber = contents.imageNumber;
+            entry.dateCached = contents.dateCached;
+            entry.lineCount = contents.lines.length;
+            entry.wordCount = contents.lines.reduce((total, line) => total + line.length, 0);
+        } catch (error) {
+            console.log(`Unreadable OCR cache entry: ${filePath}`);
+        }
+        entries.push(entry);
+    }
+
+    return entries.sort((a, b) => String(a.dateCached).localeCompare(String(b.dateCached)));
+}
+
+// Removes all entries from the cache.  Returns the number of entries removed.
+
+function clearCache(directory) {
+    if (!fs.existsSync(directory))
+        return 0;
+
+    let count = 0;
+    for (let fileName of fs.readdirSync(directory).filter(fileName => fileName.endsWith(CacheFileExtension) || fileName.endsWith(CacheFileExtension + ".tmp"))) {
+        fs.unlinkSync(path.join(directory, fileName));
+        if (fileName.endsWith(CacheFileExtension))
+            count++;
+    }
+    return count;
+}
+
+module.exports = {
+    getCacheKey: getCacheKey,
+    readCachedLines: readCachedLines,
+    writeCachedLines: writeCachedLines,
+    listCache: listCache,
+    clearCache: clearCache
+};
@@ -0,0 +1,87 @@
+// Classifies the description of a development application into one or more development types
+// (for example, "new dwelling" and "demolition") using simple rules, also extracting counts
+// where they are stated (for example, the number of dwellings in "Construction of Two
+// Dwellings").
+
+"use strict";
+
+// The rules used to classify descriptions.  Each rule has a category, a pattern that is matched
+// against the lower case description and optionally the nouns that are counted for the category
+// (for example, "3" in "3 allotments") along with an alternative pattern that captures the count
+// (for example, "2" in "Land Division (1 into 2)").  Phrases that refer to an existing dwelling
+// (such as "Demolition of Existing Dwelling" or "Additions to Dwelling") are removed from the
+// description before the "new dwelling" pattern is matched.
+
+const Rules = [
+    { category: "new dwelling", pattern: /\b(dwellings?|townhouses?|residences?|houses?)\b/, counted: /dwellings?|townhouses?|residences?|houses?|units?/ },
+    { category: "demolition", pattern: /\bdemoli(tion|sh)/ },
+    { category: "carport/verandah", pattern: /\b(carports?|verandahs?|verandas?|pergolas?|patios?)\b/ },
+    { category: "outbuilding", pattern: /\b(outbuildings?|sheds?|garages?|workshops?|studios?|cubby)\b/ },
+    { category: "signage/advertising", pattern: /\b(signs?|signage|advertis\w*|billboards?)\b/, counted: /signs?/ },
+    { category: "tree removal", pattern: /\b(remov\w*|prun\w*|fell\w*|lopp\w*)\b.*\btrees?\b|\btrees?\b.*\b(remov\w*|prun\w*|fell\w*|lopp\w*)\b/, counted: /(?:regulated |significant )?trees?/ },
+    { category: "land division", pattern: /\bland division\b|\bdivision of land\b|\bsub-?division\b|\b(community|torrens|strata) title\b|\bboundary (re-?alignment|adjustment)\b|\ballotments?\b/, counted: /allotments?/, countPattern: /\b\d+ into (\d+)\b/ },
+    { category: "change of use", pattern: /\bchange (of|in) (land )?use\b/ },
+    { category: "alterations/additions", pattern: /\b(alterations?|additions?|extensions?)\b/ },
+    { category: "swimming pool", pattern: /\b(swimming pools?|pools?|spas?)\b/ },
+    { category: "fence/retaining wall", pattern: /\b(fences?|fencing|retaining walls?|masonry walls?)\b/ },
+    { category: "solar", pattern: /\bsolar\b/ },
+    { category: "commercial", pattern: /\b(shops?|offices?|restaurants?|cafes?|consulting rooms?|showrooms?|warehouses?|commercial|retail)\b/ }
+];
+
+// The category used when no rule matches the description.
+
+const OtherCategory = "other";
+
+// Phrases referring to an existing dwelling (these are not new dwellings).  Note that "of a
+// dwelling" is not included because "Construction of a Dwelling" is a new dwelling.
+
+const ExistingDwellingPattern = /\b(existing|the) dwellings?\b|\b(to|at|from|behind|adjacent) (an? |the )?(existing )?dwellings?\b/g;
+
+// Numbers that may be written as words in a description.
+
+const NumberWords = [ "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve" ];
+
+// Words that may appear between a number and the counted noun (for example, "two storey" in
+// "Three Two Storey Dwellings", or "(3)" in "Three (3) Dwellings").
+
+const CountAdjectivesPattern = "(?:\\(\\d+\\)\\s+|(?:single|double|two|three|\\d+)[- ]storey\\s+|detached\\s+|semi-detached\\s+|attached\\s+|group\\s+|row\\s+|residential\\s+|additional\\s+|new\\s+|illuminated\\s+|advertising\\s+|free-?standing\\s+|pylon\\s+|x\\s+)*";
+
+// Extracts the stated count of the nouns counted by a rule from a description (for example, 2
+// from "Two Dwellings" or 3 from "3 allotments").  Returns null if no count is stated.
+
+function extractCount(description, rule) {
+    let pattern = new RegExp(`\\b(\\d+|${NumberWords.join("|")})\\s+${CountAdjectivesPattern}(?:${rule.counted.source})\\b`);
+    let match = pattern.exec(description);
+    if (match === null && rule.countPattern !== undefined)
+        match = rule.countPattern.exec(description);
+    if (match === null)
+        return null;
+    let count = NumberWords.indexOf(match[1]);
+    return (count >= 0) ? count : Number(match[1]);
+}
+
+// Classifies a description into development types.  Returns an array of development types, each
+// with a category and a count (the count is null when no count is stated in the description).
+// For example, "Demolition of Existing Dwelling and Construction of Two Dwellings" is classified
+// as [ { category: "new dwelling", count: 2 }, { category: "demolition", count: null } ].
+
+function classifyDescription(description) {
+    let text = (description || "").toLowerCase().replace(/\s+/g, " ");
+    let developmentTypes = [];
+
+    for (let rule of Rules) {
+        let ruleText = (rule.category === "new dwelling") ? text.replace(ExistingDwellingPattern, "") : text;
+        if (rule.pattern.test(ruleText))
+            developmentTypes.push({ category: rule.category, count: (rule.counted === undefined) ? null : extractCount(ruleText, rule) });
+    }
+
+    if (developmentTypes.length === 0)
+        developmentTypes.push({ category: OtherCategory, count: null });
+
+    return developmentTypes;
+}
+
+module.exports = {
+    Categories: Rules.map(rule => rule.category).concat([ OtherCategory ]),
+    classifyDescription: classifyDescription
+};
@@ -0,0 +1,73 @@
+// Compares the yield and confidence of parsing the same PDF file with different image
+// pre-processing steps (see image.js): first with the configured steps and then with each step
+// switched the other way in turn.  This shows whether a step helps or hurts for a particular
+// development register before it is switched on for every run.
+
+"use strict";
+
+let parser = require("./parser.js");
+let imaging = require("./image.js");
+let sinks = require("./sinks.js");
+let statistics = require("./statistics.js");
+
+// Parses a PDF file (collecting the development applications in memory) once with the configured
+// pre-processing steps (in options.preprocessing) and then once with each step switched the other
+// way.  Returns the results of each configuration: the steps, the number of development
+// applications, the number of rows seen and accepted, the average confidence of the fields of the
+// development applications obtained by OCR (or of all fields, if none were obtained by OCR) and
+// the elapsed time in seconds.  The OCR cache is not used (so that every configuration performs
+// OCR in the same way).
+
+async function comparePreprocessing(pdfUrl, pdf, options) {
+    let baselineSteps = imaging.getPreprocessingSteps(options.preprocessing);
+    let configurations = [ { name: "configured", steps: baselineSteps } ];
+    for (let step of imaging.PreprocessingSteps) {
+        let isOn = baselineSteps.includes(step.name);
+        configurations.push({
+            name: `${isOn ? "without" : "with"} ${step.name}`,
+            steps: imaging.PreprocessingSteps.map(otherStep => otherStep.name).filter(name => (name === step.name) ? !isOn : baselineSteps.includes(name))
+        });
+    }
+
+    let results = [];
+    for (let configuration of configurations) {
+        console.log(`Parsing ${pdfUrl} ${configuration.name} (${configuration.steps.join(", ") || "no pre-processing"}).`);
+        let sink = sinks.createMemorySink();
+        let runStatistics = statistics.createStatistics();
+        await parser.parsePdf(sink, pdfUrl, pdf, Object.assign({}, options, { preprocessing: imaging.toPreprocessingSettings(configuration.steps), statistics: runStatistics, ocrCacheDirectory: null }));
+
+        let provenances = [].concat(...sink.developmentApplications.map(developmentApplication => developmentApplication.provenance || []));
+        let ocrProvenances = provenances.filter(provenance => provenance.source === parser.Source.Ocr);
+        if (ocrProvenances.length > 0)
+            provenances = ocrProvenances;
+
+        results.push({
+            name: configuration.name,
+            steps: configuration.steps,
+            applicationCount: sink.developmentApplications.length,
+            rowsSeen: runStatistics.rowsSeen,
+            rowsAccepted: runStatistics.rowsAccepted,
+            averageConfidence: (provenances.length === 0) ? null : provenances.reduce((total, provenance) => total + provenance.confidence, 0) / provenances.length,
+            elapsedSeconds: Math.round((Date.now() - runStatistics.startTime) / 1000)
+        });
+    }
+
+    return results;
+}
+
+// Formats the results of comparePreprocessing as text (one line for each configuration, with the
+// difference in the number of development applications from the configured steps).
+
+function formatComparison(results) {
+    let baseline = results[0];
+    return results.map(result => {
+        let difference = result.applicationCount - baseline.applicationCount;
+        let confidence = (result.averageConfidence === null) ? "no" : result.averageConfidence.toFixed(1) + "%";
+        return `${result.name}: ${result.applicationCount} application(s) (${(difference >= 0) ? "+" : ""}${difference}), ${result.rowsAccepted} of ${result.rowsSeen} row(s) accepted, ${confidence} average confidence, ${result.elapsedSeconds} second(s)`;
+    }).join("\n");
+}
+
+module.exports = {
+    comparePreprocessing: comparePreprocessing,
+    formatComparison: formatComparison
+};
@@ -0,0 +1,101 @@
+// Reads the manual corrections that reviewers make to development applications (for example, an
+// address garbled by OCR).  The corrections are kept in a versioned file (see corrections.json)
+// rather than being made directly in the database, where they would be overwritten the next time
+// that the same document is parsed.  Each correction overrides one or more fields of the
+// development application with the specified application number, for example,
+//
+//     {
+//         "060/331/2018": {
+//             "address": "12 Main North Road PROSPECT SA 5082",
+//             "note": "the street number is illegible in the scanned register"
+//         }
+//     }
+//
+// The corrections are applied after parsing and before the development application is inserted
+// into the sink (see applyCorrections in parser.js).  A correction is no longer needed once the
+// scraped value matches it (for example, after an improvement to OCR); see findStaleCorrections.
+
+"use strict";
+
+let fs = require("fs");
+
+// The fields that can be corrected (along with the corresponding column of the data table).
+
+const CorrectableFields = [
+    { name: "address", column: "address" },
+    { name: "description", column: "description" },
+    { name: "receivedDate", column: "date_received" }
+];
+
+const NoteField = "note";  // an optional explanation of the correction (which is not applied)
+const ManualSource = "manual";  // the source recorded in the provenance of a corrected field (see Source in parser.js)
+
+// Reads the corrections from a JSON file, checking that only the correctable fields are
+// overridden.  Returns an empty object if the file does not exist.
+
+function readCorrections(fileName) {
+    if (!fs.existsSync(fileName))
+        return {};
+
+    let corrections = JSON.parse(fs.readFileSync(fileName).toString());
+    for (let applicationNumber of Object.keys(corrections)) {
+        let fields = corrections[applicationNumber];
+        for (let name of Object.keys(fields)) {
+            if (name !== NoteField && !CorrectableFields.some(field => field.name === name))
+                throw new Error(`The correction of "${applicationNumber}" in ${fileName} overrides the unknown field "${name}" (the fields that can be corrected are: ${CorrectableFields.map(field => field.name).join(", ")}).`);
+            if (typeof fields[name] !== "string" || fields[name].trim() === "")
+                throw new Error(`The correction of "${applicationNumber}" in ${fileName} does not specify a value for the "${name}" field.`);
+            if (name === "receivedDate" && !/^\d{4}-\d{2}-\d{2}$/.test(fields[name]))
+                throw new Error(`The correction of "${applicationNumber}" in ${fileName} specifies the received date "${fields[name]}" (use the format YYYY-MM-DD).`);
+        }
+    }
+    return corrections;
+}
+
+// Finds the application numbers of the corrections for development applications that are not (or
+// not yet) in the database.
+
+function findUnseenCorrections(rows, corrections) {
+    return Object.keys(corrections).sort().filter(applicationNumber => !rows.some(row => row.council_reference === applicationNumber));
+}
+
+// Finds the corrections that can be retired: those that no longer differ from the value most
+// recently scraped, and those for development applications that are not in the database once
+// every document of the development register has been completely parsed (until then such a
+// development application may simply not have been parsed yet, so its corrections are not stale).
+// The rows are the rows of the data table and the provenances are the rows of the provenance
+// table (see getRows and getProvenance in database.js, which are read by the caller so that this
+// module does not depend on sqlite).  The scraped value of a corrected field is the raw text
+// recorded in its provenance; the scraped value of any other field is the value in the data table.
+
+function findStaleCorrections(rows, provenances, corrections, isRegisterParsed) {
+    let staleCorrections = [];
+    for (let applicationNumber of Object.keys(corrections).sort()) {
+        let row = rows.find(row => row.council_reference === applicationNumber);
+        for (let field of CorrectableFields) {
+            let value = corrections[applicationNumber][field.name];
+            if (value === undefined)
+                continue;
+
+            if (row === undefined) {
+                if (isRegisterParsed)
+                    staleCorrections.push({ applicationNumber: applicationNumber, field: field.name, value: value, reason: "the application is not in the database (although every document has been parsed)" });
+                continue;
+            }
+
+            let provenance = provenances.find(provenance => provenance.council_reference === applicationNumber && provenance.field === field.column);
+            let scrapedValue = (provenance !== undefined && provenance.source === ManualSource) ? provenance.raw_text : row[field.column];
+            if (scrapedValue === value)
+                staleCorrections.push({ applicationNumber: applicationNumber, field: field.name, value: value, reason: "the scraped value matches the correction" });
+        }
+    }
+    return staleCorrections;
+}
+
+module.exports = {
+    CorrectableFields: CorrectableFields,
+    ManualSource: ManualSource,
+    readCorrections: readCorrections,
+    findUnseenCorrections: findUnseenCorrections,
+    findStaleCorrections: findStaleCorrections
+};
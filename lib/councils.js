@@ -0,0 +1,87 @@
+// Reads the profiles of the councils whose development registers can be parsed (see
+// councils.json).  Each profile has the following properties:
+//
+//     name                        the name used to choose the council (for example, "prospect")
+//     title                       the full name of the council (for example, "City of Prospect")
+//     developmentApplicationsUrl  the page containing the links to the development register PDFs
+//     linkSelector                the selector for the links to the PDFs on that page
+//     nextPageSelector            the selector for the link to the next page of the development
+//                                 register (optional, defaults to "a[rel=next]")
+//     commentUrl                  the comment URL recorded for each development application
+//     streetNamesFile             the file containing all street names in the council area
+//     suburbNamesFile             the file containing all suburb names (with state and postcode)
+//     spellingCorrectionsFile     the file containing spelling corrections for descriptions
+//     layoutsFile                 the file containing the layouts of the columns in the register
+//     correctionsFile             the file containing manual corrections of development
+//                                 applications (optional, see lib/corrections.js)
+//     gazetteerFile               the file containing the suburbs through which each street runs,
+//                                 the known street number ranges and the postcode of each suburb
+//                                 (optional, see lib/gazetteer.js)
+//     databaseFileName            the sqlite database to which development applications are
+//                                 written (optional, defaults to "<name>.sqlite")
+//     preprocessing               switches the pre-processing steps applied to images before OCR
+//                                 on or off, for example { "deskew": true } (optional, see
+//                                 lib/image.js)
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let parser = require("./parser.js");
+
+const RequiredProperties = [ "name", "developmentApplicationsUrl", "linkSelector", "commentUrl", "streetNamesFile", "suburbNamesFile", "spellingCorrectionsFile", "layoutsFile" ];
+
+// Reads the council profiles from a JSON file (see councils.json), checking that each profile
+// includes the required properties.
+
+function readCouncils(fileName) {
+    let councils = JSON.parse(fs.readFileSync(fileName).toString());
+    for (let council of councils) {
+        for (let property of RequiredProperties)
+            if (typeof council[property] !== "string" || council[property] === "")
+                throw new Error(`The "${council.name}" council in ${fileName} does not include the required "${property}" property.`);
+        if (council.databaseFileName === undefined)
+            council.databaseFileName = `${council.name}.sqlite`;
+    }
+
+    let names = councils.map(council => council.name);
+    let duplicateName = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicateName !== undefined)
+        throw new Error(`The "${duplicateName}" council appears more than once in ${fileName}.`);
+
+    return councils;
+}
+
+// Finds the profile of the council with the specified name.
+
+function findCouncil(councils, name) {
+    let council = councils.find(council => council.name === name);
+    if (council === undefined)
+        throw new Error(`Unknown council "${name}" (the known councils are: ${councils.map(council => council.name).join(", ")}).`);
+    return council;
+}
+
+// Reads the street names, suburb names, spelling corrections, layouts, manual corrections and
+// gazetteer of a council from the files named in the council profile (relative to the specified
+// directory, by default the current directory), returning options for the parsing functions
+// (including the comment URL).
+
+function readCouncilOptions(council, directory) {
+    let options = parser.readCorrectionData(directory, {
+        streetNames: council.streetNamesFile,
+        suburbNames: council.suburbNamesFile,
+        spellingCorrections: council.spellingCorrectionsFile,
+        layouts: council.layoutsFile,
+        corrections: council.correctionsFile,
+        gazetteer: council.gazetteerFile
+    });
+    options.commentUrl = council.commentUrl;
+    options.preprocessing = council.preprocessing;
+    return options;
+}
+
+module.exports = {
+    readCouncils: readCouncils,
+    findCouncil: findCouncil,
+    readCouncilOptions: readCouncilOptions
+};
@@ -0,0 +1,886 @@
+// Stores development applications (along with their provenance) and the ledger of documents in
+// an sqlite database.
+
+"use strict";
+
+let fs = require("fs");
+let sqlite3 = require("sqlite3").verbose();
+let moment = require("moment");
+let documents = require("./documents.js");
+
+const DefaultDatabaseFileName = "data.sqlite";
+
+// The columns in which the components of each address are stored (alongside the address text).
+
+const AddressColumns = [
+    { column: "address_unit", property: "unit" },
+    { column: "address_street_number", property: "streetNumber" },
+    { column: "address_street_name", property: "streetName" },
+    { column: "address_street_type", property: "streetType" },
+    { column: "address_suburb", property: "suburb" },
+    { column: "address_postcode", property: "postcode" }
+];
+
+// The columns in which the components of each application number are stored (alongside the
+// application number).
+
+const ApplicationNumberColumns = [
+    { column: "application_council_code", property: "councilCode" },
+    { column: "application_sequence_number", property: "sequenceNumber" },
+    { column: "application_year", property: "year" }
+];
+
+// The fields that are compared to determine whether a development application has changed (and so
+// whether a new version is recorded in the history table).
+
+const HistoryFields = [
+    { column: "address", property: "address" },
+    { column: "description", property: "description" },
+    { column: "date_received", property: "receivedDate" }
+];
+
+// The status of each document in the ledger of documents.
+
+const DocumentStatus = {
+    Pending: "pending",
+    InProgress: "in progress",
+    Done: "done",
+    Failed: "failed"
+};
+
+// The status of each alert (see alerts.js).
+
+const AlertStatus = {
+    Pending: "pending",
+    Sent: "sent",
+    Failed: "failed"
+};
+
+// Sets up an sqlite database (by default "data.sqlite" in the current directory).
+
+async function initializeDatabase(fileName) {
+    let database = await new Promise((resolve, reject) => {
+        let database = new sqlite3.Database(fileName || DefaultDatabaseFileName);
+        database.serialize(() => {
+            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)");
+            database.run("create table if not exists [provenance] ([council_reference] text, [field] text, [document_url] text, [page_number] integer, [image_number] integer, [source] text, [raw_text] text, [text] text, [confidence] real, [y] real, [date_scraped] text, primary key ([council_reference], [field]))");
+            database.run("create table if not exists [documents] ([url] text primary key, [position] integer, [status] text, [pages_completed] integer, [attempts] integer, [error] text, [date_found] text, [date_updated] text)");
+            database.run("create table if not exists [history] ([council_reference] text, [address] text, [description] text, [date_received] text, [info_url] text, [date_scraped] text)");
+            database.run("create index if not exists [history_council_reference] on [history] ([council_reference])");
+            database.run("create table if not exists [development_types] ([council_reference] text, [category] text, [count] integer, primary key ([council_reference], [category]))");
+            database.run("create table if not exists [watches] ([id] integer primary key autoincrement, [type] text, [value] text, [notify] text, [date_added] text)");
+            database.run("create table if not exists [alerts] ([watch_id] integer, [council_reference] text, [status] text, [attempts] integer, [error] text, [date_created] text, [date_sent] text, primary key ([watch_id], [council_reference]))");
+            database.run("create table if not exists [document_pages] ([document_url] text references [documents] ([url]), [page_number] integer, [kind] text, [text_item_count] integer, [image_count] integer, primary key ([document_url], [page_number]))");
+            database.run("create table if not exists [runs] ([id] integer primary key autoincrement, [date_started] text, [date_finished] text, [elapsed_seconds] integer, [documents] integer, [pages] integer, [images] integer, [lines_seen] integer, [rows_seen] integer, [rows_accepted] integer)");
+            database.run("create table if not exists [run_rejections] ([run_id] integer, [reason] text, [count] integer, primary key ([run_id], [reason]))");
+            database.run("create table if not exists [rejected_rows] ([run_id] integer, [reason] text, [document_url] text, [page_number] integer, [image_number] integer, [source] text, [cells] text)");
+            database.run("create virtual table if not exists [data_search] using fts4([council_reference], [description])");
+
+            // Index the descriptions of any existing rows for full text search (this only has an
+            // effect for rows that were inserted before the data_search table existed).
+
+            database.run("insert into [data_search] select [council_reference], [description] from [data] where [council_reference] not in (select [council_reference] from [data_search])");
+
+            // Record the existing rows as the first version of each development application (this
+            // only has an effect for rows that were inserted before the history table existed).
+
+            database.run("insert into [history] select [council_reference], [address], [description], [date_received], [info_url], [date_scraped] from [data] where [council_reference] not in (select [council_reference] from [history])", error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve(database);
+            });
+        });
+    });
+
+    // Add any columns that do not yet exist (because the database was created by an earlier
+    // version of the scraper).
+
+    await addMissingColumns(database, "data", AddressColumns.concat(ApplicationNumberColumns).map(componentColumn => componentColumn.column).concat([ "warnings", "document_url", "page_number" ]), { document_url: "text references [documents] ([url])", page_number: "integer" });
+    await addMissingColumns(database, "documents", [ "layout", "etag", "last_modified", "content_hash", "title", "reporting_period", "page_count", "date_downloaded", "is_alerted" ], { page_count: "integer", is_alerted: "integer" });
+
+    // Link any existing rows to their documents and pages (this only has an effect for rows that
+    // were inserted before the document_url and page_number columns existed).
+
+    await new Promise((resolve, reject) => {
+        database.run("update [data] set [document_url] = [info_url], [page_number] = (select [page_number] from [provenance] where [provenance].[council_reference] = [data].[council_reference] and [provenance].[field] = 'council_reference') where [document_url] is null", error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+    return database;
+}
+
+// Adds the specified columns to a table (ignoring any columns that already exist).  The columns
+// are text columns unless a different definition is given for a column in columnDefinitions.
+
+async function addMissingColumns(database, tableName, columnNames, columnDefinitions) {
+    let rows = await new Promise((resolve, reject) => {
+        database.all(`pragma table_info([${tableName}])`, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+
+    for (let columnName of columnNames) {
+        if (rows.some(row => row.name === columnName))
+            continue;
+        await new Promise((resolve, reject) => {
+            database.run(`alter table [${tableName}] add column [${columnName}] ${(columnDefinitions || {})[columnName] || "text"}`, error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve();
+            });
+        });
+    }
+}
+
+// Creates the row that is stored in the data table for a development application (an object
+// mapping column names to values).
+
+function createRow(developmentApplication) {
+    let getComponentValue = (components, property) => (components === null || components === undefined || components[property] === undefined) ? null : components[property];
+    let row = {
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate,
+        on_notice_from: null,
+        on_notice_to: null
+    };
+    for (let addressColumn of AddressColumns)
+        row[addressColumn.column] = getComponentValue(developmentApplication.addressComponents, addressColumn.property);
+    for (let applicationNumberColumn of ApplicationNumberColumns)
+        row[applicationNumberColumn.column] = getComponentValue(developmentApplication.applicationNumberComponents, applicationNumberColumn.property);
+    row.warnings = (developmentApplication.warnings && developmentApplication.warnings.length > 0) ? developmentApplication.warnings.join(" ") : null;
+    row.document_url = developmentApplication.informationUrl;
+    row.page_number = (developmentApplication.pageNumber === undefined) ? null : developmentApplication.pageNumber;
+    return row;
+}
+
+// Inserts a row in the database (replacing any existing row with the same application number).
+// Any previous version of the row is kept in the history table.  Returns true if there was no
+// existing row with the same application number (that is, if the development application is new).
+
+async function insertRow(database, developmentApplication) {
+    let isNew = !(await hasRow(database, developmentApplication.applicationNumber));
+    await insertHistory(database, developmentApplication);
+    return new Promise((resolve, reject) => {
+        let dataRow = createRow(developmentApplication);
+        let columns = Object.keys(dataRow);
+        let sqlStatement = database.prepare(`insert or replace into [data] (${columns.map(column => "[" + column + "]").join(", ")}) values (${columns.map(() => "?").join(", ")})`);
+        sqlStatement.run(columns.map(column => dataRow[column]), error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else {
+                console.log(`    Application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" was saved to the database.`);
+                sqlStatement.finalize();  // releases any locks
+                insertProvenance(database, developmentApplication)
+                    .then(() => insertDevelopmentTypes(database, developmentApplication.applicationNumber, developmentApplication.developmentTypes))
+                    .then(() => insertSearchText(database, developmentApplication))
+                    .then(() => resolve(isNew), reject);
+            }
+        });
+    });
+}
+
+// Determines whether the data table contains a row with the specified application number.
+
+async function hasRow(database, applicationNumber) {
+    return new Promise((resolve, reject) => {
+        database.get("select 1 from [data] where [council_reference] = ?", [ applicationNumber ], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(row !== undefined);
+        });
+    });
+}
+
+// Inserts (or replaces) the provenance of each field of a development application: the document,
+// page and image from which the field was obtained, whether it was obtained from the text layer
+// or by OCR, the raw text (before any corrections were made) and the confidence.
+
+async function insertProvenance(database, developmentApplication) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [provenance] values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        for (let provenance of (developmentApplication.provenance || []))
+            sqlStatement.run([
+                developmentApplication.applicationNumber,
+                provenance.field,
+                developmentApplication.informationUrl,
+                provenance.pageNumber,
+                provenance.imageNumber,
+                provenance.source,
+                provenance.rawText,
+                provenance.text,
+                provenance.confidence,
+                provenance.y,
+                developmentApplication.scrapeDate
+            ]);
+        sqlStatement.finalize(error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Replaces the development types (see classifier.js) of a development application.
+
+async function insertDevelopmentTypes(database, applicationNumber, developmentTypes) {
+    return new Promise((resolve, reject) => {
+        database.serialize(() => {
+            database.run("delete from [development_types] where [council_reference] = ?", [ applicationNumber ]);
+            let sqlStatement = database.prepare("insert or replace into [development_types] values (?, ?, ?)");
+            for (let developmentType of (developmentTypes || []))
+                sqlStatement.run([ applicationNumber, developmentType.category, developmentType.count ]);
+            sqlStatement.finalize(error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve();
+            });
+        });
+    });
+}
+
+// Replaces the description of a development application in the full text search index.
+
+async function insertSearchText(database, developmentApplication) {
+    return new Promise((resolve, reject) => {
+        database.serialize(() => {
+            database.run("delete from [data_search] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+            database.run("insert into [data_search] values (?, ?)", [ developmentApplication.applicationNumber, developmentApplication.description ], error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve();
+            });
+        });
+    });
+}
+
+// Queries the rows of the data table using the following (optional) filters:
+//
+//     suburb             the suburb (ignoring case)
+//     street             the street name, with or without the street type (ignoring case)
+//     receivedFrom       the earliest received date (in the form YYYY-MM-DD)
+//     receivedTo         the latest received date (in the form YYYY-MM-DD)
+//     applicationNumber  the application number
+//     search             words that must all appear in the description (a word followed by "*"
+//                        matches any word starting with that text)
+//
+// The rows are ordered by received date (most recent first) and then by application number.
+// Returns the total number of matching rows and the rows of the requested page (the first page is
+// page 1).
+
+async function queryApplications(database, filters, page, pageSize) {
+    let conditions = [];
+    let parameters = [];
+    if (filters.suburb !== undefined) {
+        conditions.push("[address_suburb] = ? collate nocase");
+        parameters.push(filters.suburb);
+    }
+    if (filters.street !== undefined) {
+        conditions.push("([address_street_name] = ? collate nocase or ([address_street_name] || ' ' || [address_street_type]) = ? collate nocase)");
+        parameters.push(filters.street, filters.street);
+    }
+    if (filters.receivedFrom !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filters.receivedFrom);
+    }
+    if (filters.receivedTo !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filters.receivedTo);
+    }
+    if (filters.applicationNumber !== undefined) {
+        conditions.push("[council_reference] = ?");
+        parameters.push(filters.applicationNumber);
+    }
+    if (filters.search !== undefined) {
+        conditions.push("[council_reference] in (select [council_reference] from [data_search] where [data_search].[description] match ?)");
+        parameters.push(filters.search);
+    }
+
+    let whereClause = (conditions.length === 0) ? "" : ` where ${conditions.join(" and ")}`;
+    let query = sql => new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+
+    let total = (await query(`select count(*) as [total] from [data]${whereClause}`))[0].total;
+    let rows = await query(`select * from [data]${whereClause} order by [date_received] desc, [council_reference] limit ${Number(pageSize)} offset ${(Number(page) - 1) * Number(pageSize)}`);
+    return { total: total, rows: rows };
+}
+
+// Opens an existing sqlite database (by default "data.sqlite" in the current directory) for
+// reading only, without creating any tables or adding any columns.  Returns null if the database
+// does not exist.
+
+async function openReadOnlyDatabase(fileName) {
+    fileName = fileName || DefaultDatabaseFileName;
+    if (!fs.existsSync(fileName))
+        return null;
+    return new Promise((resolve, reject) => {
+        let database = new sqlite3.Database(fileName, sqlite3.OPEN_READONLY, error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(database);
+        });
+    });
+}
+
+// Gets every row of the data table.
+
+async function getRows(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [data] order by [council_reference]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Gets the provenance of every field of every development application in the database.
+
+async function getProvenance(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [provenance] order by [council_reference], [field]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Gets the development types (see classifier.js) of every development application in the
+// database, ordered by application number and category.
+
+async function getDevelopmentTypes(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [development_types] order by [council_reference], [category]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Gets the application number and description of every development application in the database.
+
+async function getDescriptions(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select [council_reference], [description] from [data] order by [council_reference]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Records a new version of a development application in the history table if the development
+// application differs from the most recently recorded version (or if no version has yet been
+// recorded).
+
+async function insertHistory(database, developmentApplication) {
+    return new Promise((resolve, reject) => {
+        database.get("select * from [history] where [council_reference] = ? order by rowid desc limit 1", [ developmentApplication.applicationNumber ], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+                return;
+            }
+
+            if (row !== undefined && HistoryFields.every(field => row[field.column] === developmentApplication[field.property])) {
+                resolve(false);  // unchanged
+                return;
+            }
+
+            if (row !== undefined)
+                console.log(`    Application \"${developmentApplication.applicationNumber}\" has changed since it was scraped on ${row.date_scraped}.`);
+
+            database.run("insert into [history] values (?, ?, ?, ?, ?, ?)", [
+                developmentApplication.applicationNumber,
+                developmentApplication.address,
+                developmentApplication.description,
+                developmentApplication.receivedDate,
+                developmentApplication.informationUrl,
+                developmentApplication.scrapeDate
+            ], error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve(true);
+            });
+        });
+    });
+}
+
+// Gets every version of each development application that has more than one version in the
+// history table, optionally only where the latest version was scraped on or after the specified
+// date (in the format YYYY-MM-DD).  The versions are grouped by application number and ordered
+// from oldest to newest.
+
+async function getChangedApplications(database, sinceDate) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [history] where [council_reference] in (select [council_reference] from [history] group by [council_reference] having count(*) > 1 and max([date_scraped]) >= ?) order by [council_reference], rowid", [ sinceDate || "" ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+                return;
+            }
+
+            let changedApplications = [];
+            for (let row of rows) {
+                let changedApplication = changedApplications.find(changedApplication => changedApplication.applicationNumber === row.council_reference);
+                if (changedApplication === undefined) {
+                    changedApplication = { applicationNumber: row.council_reference, versions: [] };
+                    changedApplications.push(changedApplication);
+                }
+                changedApplication.versions.push(row);
+            }
+            resolve(changedApplications);
+        });
+    });
+}
+
+// Determines whether the initial backfill of the development register is complete: either a
+// document has already been found after the backfill completed, or the ledger contains documents
+// and every document found during the backfill has been completely parsed (or has failed).  The
+// backfill may take many runs because of the time and page budgets (see ledger.js).
+
+async function isBackfillComplete(database) {
+    return new Promise((resolve, reject) => {
+        database.get("select count(*) as [document_count], sum([is_alerted] = 1) as [alerted_count], sum(ifnull([is_alerted], 0) = 0 and [status] in (?, ?)) as [backfill_count] from [documents]", [ DocumentStatus.Pending, DocumentStatus.InProgress ], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(row.alerted_count > 0 || (row.document_count > 0 && row.backfill_count === 0));
+        });
+    });
+}
+
+// Determines whether new development applications parsed from a document are alerted (only those
+// from documents that were found after the initial backfill completed; see isBackfillComplete).
+
+async function isAlertedDocument(database, url) {
+    return new Promise((resolve, reject) => {
+        database.get("select [is_alerted] from [documents] where [url] = ?", [ url ], (error, row) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(row !== undefined && row.is_alerted === 1);
+        });
+    });
+}
+
+// Adds any newly found PDF links (each with a URL and title; see fetchPdfLinks) to the ledger of
+// documents (as pending documents) and records the position at which each PDF link currently
+// appears on the development register web page (the most recent documents appear first), along
+// with the title of the link and the reporting period named in the title (or in the URL).  Newly
+// found documents are alerted if the initial backfill is complete (see isBackfillComplete).
+
+async function updateDocuments(database, pdfLinks) {
+    let isAlerted = await isBackfillComplete(database);
+    return new Promise((resolve, reject) => {
+        database.serialize(() => {
+            let today = moment().format("YYYY-MM-DD");
+            let insertStatement = database.prepare("insert or ignore into [documents] ([url], [status], [pages_completed], [attempts], [date_found], [date_updated], [is_alerted]) values (?, ?, 0, 0, ?, ?, ?)");
+            let updateStatement = database.prepare("update [documents] set [position] = ?, [title] = ?, [reporting_period] = ? where [url] = ?");
+            for (let index = 0; index < pdfLinks.length; index++) {
+                let pdfLink = pdfLinks[index];
+                insertStatement.run([ pdfLink.url, DocumentStatus.Pending, today, today, isAlerted ? 1 : 0 ]);
+                updateStatement.run([ index, pdfLink.title || null, documents.parseReportingPeriod(pdfLink.title) || documents.parseReportingPeriod(pdfLink.url), pdfLink.url ]);
+            }
+            insertStatement.finalize();
+            updateStatement.finalize(error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve();
+            });
+        });
+    });
+}
+
+// Gets the documents that have not yet been completely parsed, in the order in which they should
+// be parsed: documents that were partially parsed in a previous run first (so that parsing
+// resumes where it stopped), then pending documents in the order in which they appear on the
+// development register web page.
+
+async function getUnprocessedDocuments(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [documents] where [status] in (?, ?) order by case [status] when ? then 0 else 1 end, [position]", [ DocumentStatus.InProgress, DocumentStatus.Pending, DocumentStatus.InProgress ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Gets the documents retrieved from the web that have been completely parsed (so that they can
+// be checked for changes).
+
+async function getCompletedDocuments(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [documents] where [status] = ? and ([url] like 'http:%' or [url] like 'https:%') order by [position]", [ DocumentStatus.Done ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Records the ETag and Last-Modified headers and the hash of the data from the most recent
+// retrieval of a document in the ledger of documents (see fetchDocument), along with the date
+// on which the document was downloaded (unless the document was not downloaded because it was
+// not modified).
+
+async function updateDocumentValidators(database, url, etag, lastModified, contentHash, isDownloaded) {
+    return new Promise((resolve, reject) => {
+        database.run("update [documents] set [etag] = ?, [last_modified] = ?, [content_hash] = ?, [date_downloaded] = coalesce(?, [date_downloaded]) where [url] = ?", [ etag, lastModified, contentHash, isDownloaded ? moment().format("YYYY-MM-DD") : null, url ], error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Updates the status of a document in the ledger of documents (along with the number of pages
+// completed, the number of attempts and any error message).
+
+async function updateDocumentStatus(database, url, status, pagesCompleted, attempts, errorMessage) {
+    return new Promise((resolve, reject) => {
+        database.run("update [documents] set [status] = ?, [pages_completed] = ?, [attempts] = ?, [error] = ?, [date_updated] = ? where [url] = ?", [ status, pagesCompleted, attempts, errorMessage || null, moment().format("YYYY-MM-DD"), url ], error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Records the layout of the columns (see layouts.json) chosen when parsing a document in the
+// ledger of documents.
+
+async function updateDocumentLayout(database, url, layoutName) {
+    return new Promise((resolve, reject) => {
+        database.run("update [documents] set [layout] = ? where [url] = ?", [ layoutName, url ], error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Saves a watch (see alerts.js).  Returns the identifier of the new watch.
+
+async function addWatch(database, type, value, notify) {
+    return new Promise((resolve, reject) => {
+        database.run("insert into [watches] ([type], [value], [notify], [date_added]) values (?, ?, ?, ?)", [ type, value, notify, moment().format("YYYY-MM-DD") ], function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(this.lastID);
+        });
+    });
+}
+
+// Gets every saved watch, ordered by identifier.
+
+async function getWatches(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select * from [watches] order by [id]", (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Removes a saved watch.  Returns false if there is no watch with the specified identifier.  The
+// alerts already recorded for the watch are kept (watch identifiers are never reused).
+
+async function removeWatch(database, id) {
+    return new Promise((resolve, reject) => {
+        database.run("delete from [watches] where [id] = ?", [ id ], function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(this.changes > 0);
+        });
+    });
+}
+
+// Records pending alerts of a development application for the specified watches, ignoring any
+// watch for which an alert has already been recorded (so that the same development application
+// is never alerted twice for the same watch).
+
+async function insertAlerts(database, applicationNumber, watchIds) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or ignore into [alerts] values (?, ?, ?, 0, null, ?, null)");
+        for (let watchId of watchIds)
+            sqlStatement.run([ watchId, applicationNumber, AlertStatus.Pending, moment().format("YYYY-MM-DD") ]);
+        sqlStatement.finalize(error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Gets the pending alerts (of watches that have not been removed), along with the watch and the
+// row of the development application for each alert.
+
+async function getPendingAlerts(database) {
+    return new Promise((resolve, reject) => {
+        database.all("select [data].*, [alerts].[watch_id], [alerts].[attempts], [watches].[type], [watches].[value], [watches].[notify] from [alerts] join [watches] on [watches].[id] = [alerts].[watch_id] join [data] on [data].[council_reference] = [alerts].[council_reference] where [alerts].[status] = ? order by [alerts].[council_reference], [alerts].[watch_id]", [ AlertStatus.Pending ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Updates the status of an alert (along with the number of attempts made to send the alert and
+// the error from the most recent attempt).
+
+async function updateAlertStatus(database, watchId, applicationNumber, status, attempts, errorMessage) {
+    return new Promise((resolve, reject) => {
+        database.run("update [alerts] set [status] = ?, [attempts] = ?, [error] = ?, [date_sent] = ? where [watch_id] = ? and [council_reference] = ?", [ status, attempts, errorMessage || null, (status === AlertStatus.Sent) ? moment().format("YYYY-MM-DD") : null, watchId, applicationNumber ], error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Records the statistics of a run (see statistics.js): a summary in the runs table, the number of
+// rejections for each reason in the run_rejections table and the sample of rejected rows (with
+// the cells of each row as JSON) in the rejected_rows table.  Returns the identifier of the run.
+
+async function insertRun(database, statistics) {
+    let runId = await new Promise((resolve, reject) => {
+        database.run("insert into [runs] ([date_started], [date_finished], [elapsed_seconds], [documents], [pages], [images], [lines_seen], [rows_seen], [rows_accepted]) values (?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+            moment(statistics.startTime).format("YYYY-MM-DD HH:mm:ss"),
+            moment().format("YYYY-MM-DD HH:mm:ss"),
+            Math.round((Date.now() - statistics.startTime) / 1000),
+            statistics.documents,
+            statistics.pages,
+            statistics.images,
+            statistics.linesSeen,
+            statistics.rowsSeen,
+            statistics.rowsAccepted
+        ], function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(this.lastID);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        database.serialize(() => {
+            let rejectionStatement = database.prepare("insert into [run_rejections] values (?, ?, ?)");
+            for (let reason of Object.keys(statistics.rejections))
+                rejectionStatement.run([ runId, reason, statistics.rejections[reason] ]);
+            rejectionStatement.finalize();
+
+            let rowStatement = database.prepare("insert into [rejected_rows] values (?, ?, ?, ?, ?, ?, ?)");
+            for (let rejectedRow of statistics.rejectedRows)
+                rowStatement.run([ runId, rejectedRow.reason, rejectedRow.pdfUrl, rejectedRow.pageNumber, rejectedRow.imageNumber, rejectedRow.source, JSON.stringify(rejectedRow.cells) ]);
+            rowStatement.finalize(error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve(runId);
+            });
+        });
+    });
+}
+
+// Gets the most recent runs (newest first), along with the number of rejections for each reason
+// in each run (as an object in the rejections property of each run).
+
+async function getRuns(database, count) {
+    let runs = await new Promise((resolve, reject) => {
+        database.all("select * from [runs] order by [id] desc limit ?", [ count ], (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+
+    for (let run of runs) {
+        let rows = await new Promise((resolve, reject) => {
+            database.all("select [reason], [count] from [run_rejections] where [run_id] = ? order by [reason]", [ run.id ], (error, rows) => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve(rows);
+            });
+        });
+        run.rejections = {};
+        for (let row of rows)
+            run.rejections[row.reason] = row.count;
+    }
+
+    return runs;
+}
+
+// Records the metadata of a PDF file in the ledger of documents: the number of pages and the
+// reporting period (if no reporting period was found in the title of the link to the document,
+// the reporting period in the title of the PDF file is used).  A document that is not yet in
+// the ledger (such as a local PDF file) is added as a completely parsed document.
+
+async function updateDocumentMetadata(database, url, pageCount, pdfTitle) {
+    return new Promise((resolve, reject) => {
+        database.serialize(() => {
+            let today = moment().format("YYYY-MM-DD");
+            database.run("insert or ignore into [documents] ([url], [status], [pages_completed], [attempts], [date_found], [date_updated]) values (?, ?, 0, 0, ?, ?)", [ url, DocumentStatus.Done, today, today ]);
+            database.run("update [documents] set [page_count] = ?, [reporting_period] = coalesce([reporting_period], ?) where [url] = ?", [ pageCount, documents.parseReportingPeriod(pdfTitle) || documents.parseReportingPeriod(url), url ], error => {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve();
+            });
+        });
+    });
+}
+
+// Records whether a page of a document contains text or is scanned (see getPageKind), along with
+// the number of text items and images on the page.
+
+async function updateDocumentPage(database, url, pageNumber, textItemCount, imageCount) {
+    return new Promise((resolve, reject) => {
+        database.run("insert or replace into [document_pages] values (?, ?, ?, ?, ?)", [ url, pageNumber, documents.getPageKind(textItemCount, imageCount), textItemCount, imageCount ], error => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Gets every document in the ledger of documents, along with the number of development
+// applications from each document and the number of pages of each kind (in the text_pages,
+// scanned_pages, mixed_pages and empty_pages properties), ordered by reporting period.
+
+async function getDocuments(database) {
+    return new Promise((resolve, reject) => {
+        let pageCounts = Object.keys(documents.PageKinds).map(key => documents.PageKinds[key]).map(kind => `(select count(*) from [document_pages] where [document_pages].[document_url] = [documents].[url] and [kind] = '${kind}') as [${kind}_pages]`);
+        database.all(`select [documents].*, (select count(*) from [data] where [data].[document_url] = [documents].[url]) as [application_count], ${pageCounts.join(", ")} from [documents] order by [reporting_period], [url]`, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+module.exports = {
+    DocumentStatus: DocumentStatus,
+    AlertStatus: AlertStatus,
+    AddressColumns: AddressColumns,
+    ApplicationNumberColumns: ApplicationNumberColumns,
+    HistoryFields: HistoryFields,
+    initializeDatabase: initializeDatabase,
+    openReadOnlyDatabase: openReadOnlyDatabase,
+    createRow: createRow,
+    insertRow: insertRow,
+    insertProvenance: insertProvenance,
+    insertHistory: insertHistory,
+    insertDevelopmentTypes: insertDevelopmentTypes,
+    insertSearchText: insertSearchText,
+    queryApplications: queryApplications,
+    getRows: getRows,
+    getDevelopmentTypes: getDevelopmentTypes,
+    getDescriptions: getDescriptions,
+    getProvenance: getProvenance,
+    getChangedApplications: getChangedApplications,
+    updateDocuments: updateDocuments,
+    isBackfillComplete: isBackfillComplete,
+    isAlertedDocument: isAlertedDocument,
+    getUnprocessedDocuments: getUnprocessedDocuments,
+    updateDocumentStatus: updateDocumentStatus,
+    updateDocumentLayout: updateDocumentLayout,
+    getCompletedDocuments: getCompletedDocuments,
+    updateDocumentValidators: updateDocumentValidators,
+    updateDocumentMetadata: updateDocumentMetadata,
+    updateDocumentPage: updateDocumentPage,
+    getDocuments: getDocuments,
+    addWatch: addWatch,
+    getWatches: getWatches,
+    removeWatch: removeWatch,
+    insertAlerts: insertAlerts,
+    getPendingAlerts: getPendingAlerts,
+    updateAlertStatus: updateAlertStatus,
+    insertRun: insertRun,
+    getRuns: getRuns
+};
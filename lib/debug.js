@@ -0,0 +1,148 @@
+// Writes an annotated HTML page for each page or image parsed by parseLines (see the
+// debugDirectory option in parser.js), showing how the lines of words were interpreted: the
+// bounding box and confidence of each word (from tesseract.js or pdf.js), the starting X
+// co-ordinate of each column of the chosen layout (with the band within which a word is
+// considered to be aligned with the column), which lines and rows were accepted or rejected (and
+// why) and the text and confidence of each cell.  Open the page in a browser and hover over a word
+// or line for details.
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+
+const Margin = 200;  // the space to the left of the words (in the co-ordinates of the words) for the rejection reasons
+const AcceptedColour = "#2e7d32";
+const RejectedColour = "#c62828";
+const ColumnColour = "#1565c0";
+
+// Escapes the characters that have a special meaning in HTML.
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Chooses the colour of a word or cell from its confidence (matching the thresholds used by
+// parseLines: cells below 60% are rejected and addresses below 75% are rejected).
+
+function getConfidenceColour(confidence) {
+    return (confidence >= 75) ? AcceptedColour : ((confidence >= 60) ? "#ef6c00" : RejectedColour);
+}
+
+// Gets the top of the bounding box of a word.  The Y co-ordinate of a word from the text layer of
+// a PDF is its baseline, whereas the Y co-ordinate of a word from OCR is the top of the word.
+
+function getTop(word, isBaseline) {
+    return isBaseline ? word.bounds.y - word.bounds.height : word.bounds.y;
+}
+
+// Formats the cells of a row as text (with the confidence of each cell).
+
+function formatCells(row) {
+    return row.map(cell => `${cell.field}: "${cell.text}" (${Math.round(cell.confidence)}%)`).join("; ");
+}
+
+// Renders the words, columns and lines as SVG.
+
+function renderSvg(debugInformation) {
+    let words = [].concat(...debugInformation.lines);
+    let isBaseline = debugInformation.isBaseline;
+    let right = words.reduce((right, word) => Math.max(right, word.bounds.x + word.bounds.width), 1);
+    let bottom = words.reduce((bottom, word) => Math.max(bottom, getTop(word, isBaseline) + word.bounds.height), 1);
+    let margin = Margin * debugInformation.scaleFactor;
+    let elements = [];
+
+    // Shade each line green if it was accepted or red if it was rejected (with the reason in the
+    // left margin).
+
+    for (let lineResult of debugInformation.lineResults) {
+        if (lineResult.line.length === 0)
+            continue;
+        let top = Math.min(...lineResult.line.map(word => getTop(word, isBaseline)));
+        let height = Math.max(...lineResult.line.map(word => getTop(word, isBaseline) + word.bounds.height)) - top;
+        let colour = (lineResult.rejectionReason === null) ? AcceptedColour : RejectedColour;
+        let title = `${(lineResult.rejectionReason === null) ? "accepted" : "rejected for " + lineResult.rejectionReason}: ${formatCells(lineResult.row)}`;
+        elements.push(`<rect x="${-margin}" y="${top}" width="${right + margin}" height="${height}" fill="${colour}" fill-opacity="0.08"><title>${escapeHtml(title)}</title></rect>`);
+        if (lineResult.rejectionReason !== null)
+            elements.push(`<text x="${-margin}" y="${top + height}" font-size="${height * 0.6}" fill="${colour}">${escapeHtml(lineResult.rejectionReason)}</text>`);
+    }
+
+    // Draw each column (and the band within which words are considered aligned with it).
+
+    if (debugInformation.layout !== null) {
+        for (let column of debugInformation.layout.columns) {
+            elements.push(`<rect x="${column.x - debugInformation.columnAlignment}" y="0" width="${debugInformation.columnAlignment * 2}" height="${bottom}" fill="${ColumnColour}" fill-opacity="0.1"/>`);
+            elements.push(`<line x1="${column.x}" y1="0" x2="${column.x}" y2="${bottom}" stroke="${ColumnColour}" stroke-width="${debugInformation.scaleFactor}"/>`);
+            elements.push(`<text x="${column.x}" y="${-4 * debugInformation.scaleFactor}" font-size="${12 * debugInformation.scaleFactor}" fill="${ColumnColour}">${escapeHtml(column.field)}</text>`);
+        }
+    }
+
+    // Draw the bounding box of each word (coloured by confidence).
+
+    for (let word of words) {
+        let top = getTop(word, isBaseline);
+        let colour = getConfidenceColour(word.confidence);
+        elements.push(`<g><title>${escapeHtml(`"${word.text}" (${Math.round(word.confidence)}%) at ${Math.round(word.bounds.x)}, ${Math.round(word.bounds.y)}`)}</title>` +
+            `<rect x="${word.bounds.x}" y="${top}" width="${word.bounds.width}" height="${word.bounds.height}" fill="none" stroke="${colour}" stroke-width="${debugInformation.scaleFactor * 0.5}"/>` +
+            `<text x="${word.bounds.x}" y="${top + word.bounds.height * 0.8}" font-size="${word.bounds.height * 0.8}" fill="${colour}">${escapeHtml(word.text)}</text></g>`);
+    }
+
+    let top = -20 * debugInformation.scaleFactor;
+    let width = right + margin;
+    let height = bottom - top;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-margin} ${top} ${width} ${height}" width="${Math.round(width / debugInformation.scaleFactor)}" height="${Math.round(height / debugInformation.scaleFactor)}" font-family="sans-serif">\n${elements.join("\n")}\n</svg>`;
+}
+
+// Renders a table of results (each with a row of cells and a rejection reason).
+
+function renderTable(heading, results, getLabel) {
+    let rows = results.map((result, index) => {
+        let colour = (result.rejectionReason === null) ? AcceptedColour : RejectedColour;
+        let cells = result.row.map(cell => `<td style="color: ${getConfidenceColour(cell.confidence)}">${escapeHtml(cell.text)} <small>(${Math.round(cell.confidence)}%)</small></td>`).join("");
+        return `<tr><td>${index + 1}</td><td>${escapeHtml(getLabel(result))}</td><td style="color: ${colour}">${escapeHtml(result.rejectionReason || "accepted")}</td>${cells}</tr>`;
+    });
+    let fields = (results.length === 0) ? [] : results[0].row.map(cell => cell.field);
+    return `<h2>${escapeHtml(heading)}</h2>\n<table>\n<tr><th>#</th><th></th><th>Result</th>${fields.map(field => "<th>" + escapeHtml(field) + "</th>").join("")}</tr>\n${rows.join("\n")}\n</table>`;
+}
+
+// Writes the annotated HTML page for the lines of words of a page or image.  The debug
+// information consists of the PDF URL, the origin (see parseLines), the lines of words, the
+// scale factor, the chosen layout (or null), the column and line alignment (in the co-ordinates
+// of the words), whether the Y co-ordinate of each word is its baseline, the result of each line
+// (the line, its cells and any rejection reason) and the result of each row (the application
+// number, the merged cells and any rejection reason).  The directory is created if necessary.
+
+function writeDebugPage(directory, fileName, debugInformation) {
+    let origin = debugInformation.origin;
+    let title = `${debugInformation.pdfUrl} page ${origin.pageNumber}${(origin.imageNumber === null) ? " (text)" : " image " + origin.imageNumber}`;
+    let layout = debugInformation.layout;
+    let layoutText = (layout === null) ? "No layout was found." : `The "${layout.name}" layout was chosen (the columns were determined from the ${layout.method}) with columns at ${layout.columns.map(column => column.field + " " + Math.round(column.x)).join(", ")}; words within ${debugInformation.columnAlignment} of a column are aligned with it and lines within ${debugInformation.lineAlignment} vertically are grouped.`;
+    let acceptedLineCount = debugInformation.lineResults.filter(lineResult => lineResult.rejectionReason === null).length;
+    let acceptedRowCount = debugInformation.rowResults.filter(rowResult => rowResult.rejectionReason === null).length;
+
+    let html = [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        `<title>${escapeHtml(title)}</title>`,
+        "<style>body { font-family: sans-serif; } table { border-collapse: collapse; font-size: small; } td, th { border: 1px solid #ccc; padding: 2px 4px; text-align: left; } svg { border: 1px solid #ccc; }</style>",
+        "</head>",
+        "<body>",
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p>${escapeHtml(`${debugInformation.lines.length} line(s) from ${origin.source}, scale factor ${debugInformation.scaleFactor}.  ${layoutText}  ${acceptedLineCount} line(s) and ${acceptedRowCount} of ${debugInformation.rowResults.length} row(s) were accepted.`)}</p>`,
+        renderSvg(debugInformation),
+        renderTable("Rows", debugInformation.rowResults, rowResult => rowResult.applicationNumber),
+        renderTable("Lines", debugInformation.lineResults, lineResult => (lineResult.line.length === 0) ? "" : `y ${Math.round(lineResult.line[0].bounds.y)}`),
+        "</body>",
+        "</html>"
+    ].join("\n");
+
+    console.log(`Writing debug page to: ${path.join(directory, fileName)}`);
+    fs.mkdirSync(directory, { recursive: true });  // the directory may not exist yet
+    fs.writeFileSync(path.join(directory, fileName), html);
+}
+
+module.exports = {
+    writeDebugPage: writeDebugPage
+};
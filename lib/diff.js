@@ -0,0 +1,92 @@
+// Compares parsed development applications with the rows already in the data table (see
+// createRow), reporting which development applications are new, which existing rows would
+// change (field by field) and which existing rows are no longer produced by the parsed
+// documents.  This is used for dry runs, which parse documents without writing to the database.
+
+"use strict";
+
+let createRow = require("./database.js").createRow;
+
+// The columns that are not compared (the scrape date changes every day).
+
+const IgnoredColumns = [ "council_reference", "date_scraped" ];
+
+// Converts a column value to text for comparison (the database stores numbers, such as the
+// application year, as text).
+
+function toComparableText(value) {
+    return (value === null || value === undefined) ? null : String(value);
+}
+
+// Compares the parsed development applications with the existing rows of the data table.  The
+// document URLs are the URLs of the documents that were parsed; an existing row from one of those
+// documents that was not parsed again is reported as missing.  Columns that do not exist in the
+// existing rows (because the database was created by an earlier version of the scraper) are not
+// compared.
+
+function diffApplications(existingRows, developmentApplications, documentUrls) {
+    let report = { new: [], changed: [], unchanged: [], missing: [] };
+    let existingRowsByNumber = new Map(existingRows.map(existingRow => [ existingRow.council_reference, existingRow ]));
+    let parsedNumbers = new Set();
+
+    for (let developmentApplication of developmentApplications) {
+        let row = createRow(developmentApplication);
+        parsedNumbers.add(row.council_reference);
+
+        let existingRow = existingRowsByNumber.get(row.council_reference);
+        if (existingRow === undefined) {
+            report.new.push(row);
+            continue;
+        }
+
+        let changes = [];
+        for (let column of Object.keys(row))
+            if (!IgnoredColumns.includes(column) && column in existingRow && toComparableText(existingRow[column]) !== toComparableText(row[column]))
+                changes.push({ column: column, from: toComparableText(existingRow[column]), to: toComparableText(row[column]) });
+
+        if (changes.length === 0)
+            report.unchanged.push(row.council_reference);
+        else
+            report.changed.push({ council_reference: row.council_reference, changes: changes });
+    }
+
+    for (let existingRow of existingRows)
+        if (documentUrls.includes(existingRow.info_url) && !parsedNumbers.has(existingRow.council_reference))
+            report.missing.push(existingRow);
+
+    return report;
+}
+
+// Formats a report produced by diffApplications as text.
+
+function formatDiff(report) {
+    let lines = [ `${report.new.length} new, ${report.changed.length} changed, ${report.unchanged.length} unchanged and ${report.missing.length} missing development application(s).` ];
+
+    if (report.new.length > 0) {
+        lines.push("", "New:");
+        for (let row of report.new)
+            lines.push(`    ${row.council_reference}: address "${row.address}", description "${row.description}", received date "${row.date_received}"`);
+    }
+
+    if (report.changed.length > 0) {
+        lines.push("", "Changed:");
+        for (let changedRow of report.changed) {
+            lines.push(`    ${changedRow.council_reference}:`);
+            for (let change of changedRow.changes)
+                lines.push(`        ${change.column}: "${change.from}" changed to "${change.to}"`);
+        }
+    }
+
+    if (report.missing.length > 0) {
+        lines.push("", "Missing (no longer produced by the parsed documents):");
+        for (let row of report.missing)
+            lines.push(`    ${row.council_reference}: address "${row.address}", description "${row.description}", from ${row.info_url}`);
+    }
+
+    return lines.join("\n");
+}
+
+module.exports = {
+    diffApplications: diffApplications,
+    formatDiff: formatDiff
+};
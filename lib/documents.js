@@ -0,0 +1,86 @@
+// Describes the documents of a development register: the reporting period that each document
+// covers (usually a month, named in the link title or file name, such as "July 2018") and whether
+// each page of a document contains text or is scanned (an image that must be parsed by OCR).
+
+"use strict";
+
+const MonthNames = [ "jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec" ];
+const MonthYearPattern = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s*((?:19|20)\d{2})\b/i;  // for example, "July 2018" or "Jul2018"
+const YearMonthPattern = /\b((?:19|20)\d{2}) (0[1-9]|1[0-2])\b/;  // for example, "2018-07" (after separators are replaced by spaces)
+
+// The kinds of page in a document.
+
+const PageKinds = {
+    Text: "text",  // text only
+    Scanned: "scanned",  // images only
+    Mixed: "mixed",  // both text and images
+    Empty: "empty"  // neither text nor images
+};
+
+// Parses the reporting period (in the form YYYY-MM) from text such as a link title ("Development
+// Register July 2018") or a URL ("https://www.prospect.sa.gov.au/.../DA_Register_Jul_2018.pdf").
+// Returns null if no reporting period is found.
+
+function parseReportingPeriod(text) {
+    if (!text)
+        return null;
+
+    let decodedText = text;
+    try {
+        decodedText = decodeURIComponent(text);
+    } catch (error) {
+        // Use the text as is if it is not a valid URI component.
+    }
+    decodedText = decodedText.replace(/[_\-.+/]/g, " ");
+
+    let match = MonthYearPattern.exec(decodedText);
+    if (match !== null) {
+        let month = MonthNames.indexOf(match[1].toLowerCase()) + 1;
+        return `${match[2]}-${(month < 10) ? "0" : ""}${month}`;
+    }
+
+    match = YearMonthPattern.exec(decodedText);
+    return (match === null) ? null : `${match[1]}-${match[2]}`;
+}
+
+// Determines the kind of a page from the number of (non-blank) text items and images on the page.
+
+function getPageKind(textItemCount, imageCount) {
+    if (textItemCount > 0)
+        return (imageCount > 0) ? PageKinds.Mixed : PageKinds.Text;
+    return (imageCount > 0) ? PageKinds.Scanned : PageKinds.Empty;
+}
+
+// Finds the reporting periods (in the form YYYY-MM) between the earliest and latest of the
+// specified reporting periods that do not appear in the specified reporting periods (that is,
+// the months for which no document was found).
+
+function findMissingReportingPeriods(reportingPeriods) {
+    let periods = reportingPeriods.filter(period => period).sort();
+    if (periods.length === 0)
+        return [];
+
+    let missingPeriods = [];
+    let year = Number(periods[0].substring(0, 4));
+    let month = Number(periods[0].substring(5, 7));
+    let lastPeriod = periods[periods.length - 1];
+    for (;;) {
+        let period = `${year}-${(month < 10) ? "0" : ""}${month}`;
+        if (period > lastPeriod)
+            break;
+        if (!periods.includes(period))
+            missingPeriods.push(period);
+        if (++month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return missingPeriods;
+}
+
+module.exports = {
+    PageKinds: PageKinds,
+    parseReportingPeriod: parseReportingPeriod,
+    getPageKind: getPageKind,
+    findMissingReportingPeriods: findMissingReportingPeriods
+};
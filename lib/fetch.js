@@ -0,0 +1,143 @@
+// Retrieves web pages and PDF files, retrying with exponential backoff after transient failures
+// (network errors, time outs and "429" or "5xx" responses).  Every request identifies the
+// scraper by its User-Agent and times out rather than waiting indefinitely.  Documents can be
+// retrieved conditionally (using the ETag and Last-Modified headers from a previous retrieval)
+// so that unchanged PDF files are not downloaded and parsed again.  The fetching functions accept
+// the following (optional) options:
+//
+//     retryCount  the number of times that a failed request is retried (defaults to 4)
+//     retryDelay  the delay in milliseconds before the first retry, doubling for each later
+//                 retry (defaults to 1000)
+//     timeout     the time out in milliseconds when connecting or waiting for data (defaults to
+//                 60000)
+
+"use strict";
+
+let crypto = require("crypto");
+let urlparser = require("url");
+let cheerio = require("cheerio");
+let request = require("request-promise-native");
+
+const UserAgent = `Mozilla/5.0 (compatible; development-applications-scraper/${require("../package.json").version})`;
+const DefaultRetryCount = 4;
+const DefaultRetryDelay = 1000;  // milliseconds (so retries occur after 1, 2, 4 and 8 seconds)
+const DefaultTimeout = 60000;  // milliseconds
+const MaximumRegisterPages = 50;  // the maximum number of pages of the development register that are followed
+const DefaultNextPageSelector = "a[rel=next]";  // the link to the next page of the development register
+
+// Determines whether a response status code indicates a failure that may succeed if retried.
+
+function isTransientStatusCode(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+}
+
+// Retrieves a URL, retrying after transient failures.  Besides the fetching options (see the top
+// of this file) the options may include encoding (null to retrieve the body as a Buffer, otherwise
+// the body is text) and the etag and lastModified of a previous retrieval (so that an unchanged
+// document results in a "304" response).  Returns the status code, the body (null if not
+// modified), the ETag and Last-Modified headers and whether the document was modified.  Throws an
+// error if the request fails (after any retries).
+
+async function fetchUrl(url, options) {
+    options = options || {};
+    let retryCount = (options.retryCount === undefined) ? DefaultRetryCount : options.retryCount;
+    let retryDelay = (options.retryDelay === undefined) ? DefaultRetryDelay : options.retryDelay;
+
+    let headers = { "User-Agent": UserAgent };
+    if (options.etag)
+        headers["If-None-Match"] = options.etag;
+    if (options.lastModified)
+        headers["If-Modified-Since"] = options.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+        try {
+            let response = await request({
+                uri: url,
+                headers: headers,
+                timeout: options.timeout || DefaultTimeout,
+                encoding: (options.encoding === undefined) ? "utf8" : options.encoding,
+                resolveWithFullResponse: true,
+                simple: false
+            });
+
+            if (response.statusCode === 304 || (response.statusCode >= 200 && response.statusCode < 300))
+                return {
+                    statusCode: response.statusCode,
+                    body: (response.statusCode === 304) ? null : response.body,
+                    etag: response.headers["etag"] || options.etag || null,
+                    lastModified: response.headers["last-modified"] || options.lastModified || null,
+                    isModified: response.statusCode !== 304
+                };
+
+            failure = new Error(`Could not retrieve ${url} (the response was ${response.statusCode} ${response.statusMessage}).`);
+            if (!isTransientStatusCode(response.statusCode))
+                throw failure;
+        } catch (error) {
+            if (error === failure)
+                throw error;
+            failure = new Error(`Could not retrieve ${url} (${error.cause ? error.cause.message : error.message}).`);
+        }
+
+        if (attempt >= retryCount)
+            throw failure;
+        let delay = retryDelay * Math.pow(2, attempt);
+        console.log(`${failure.message}  Retrying in ${delay / 1000} second(s).`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// Retrieves a document (such as a PDF file) as a Buffer.  The document is a row of the ledger of
+// documents (see updateDocuments), or any object with the etag, last_modified and content_hash
+// of a previous retrieval; when specified these are used to make a conditional request.  Returns
+// the data (null if not modified), the ETag and Last-Modified headers, a hash of the data and
+// whether the document was modified (a server that ignores the conditional request but returns
+// identical data is treated as not modified).
+
+async function fetchDocument(url, document, options) {
+    document = document || {};
+    let result = await fetchUrl(url, Object.assign({}, options, { encoding: null, etag: document.etag, lastModified: document.last_modified }));
+    let contentHash = (result.body === null) ? (document.content_hash || null) : crypto.createHash("sha256").update(result.body).digest("hex");
+    return {
+        data: result.body,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        contentHash: contentHash,
+        isModified: result.isModified && contentHash !== document.content_hash
+    };
+}
+
+// Retrieves the development register of a council (see councils.js) and returns the links to the
+// PDFs on it (in the order in which they appear, without duplicates), each with a URL and the
+// title of the link.  Any further pages of the development register (found using the
+// nextPageSelector of the council profile) are also retrieved.
+
+async function fetchPdfLinks(council, options) {
+    let pdfLinks = [];
+    let pageUrls = [];
+    let pageUrl = council.developmentApplicationsUrl;
+    while (pageUrl !== null && !pageUrls.includes(pageUrl) && pageUrls.length < MaximumRegisterPages) {
+        console.log(`Retrieving page: ${pageUrl}`);
+        pageUrls.push(pageUrl);
+        let $ = cheerio.load((await fetchUrl(pageUrl, options)).body);
+
+        for (let linkElement of $(council.linkSelector).get()) {
+            let pdfUrl = new urlparser.URL(linkElement.attribs.href, pageUrl).href;
+            if (pdfUrl.toLowerCase().includes(".pdf"))
+                if (!pdfLinks.some(pdfLink => pdfLink.url === pdfUrl))  // ignore duplicates
+                    pdfLinks.push({ url: pdfUrl, title: $(linkElement).text().replace(/\s+/g, " ").trim() });
+        }
+
+        let nextPageLink = $(council.nextPageSelector || DefaultNextPageSelector).first();
+        pageUrl = (nextPageLink.length === 0 || !nextPageLink.attr("href")) ? null : new urlparser.URL(nextPageLink.attr("href"), pageUrl).href;
+    }
+
+    return pdfLinks;
+}
+
+module.exports = {
+    UserAgent: UserAgent,
+    fetchUrl: fetchUrl,
+    fetchDocument: fetchDocument,
+    fetchPdfLinks: fetchPdfLinks
+};
@@ -0,0 +1,121 @@
+// Reads the gazetteer of a council area (see gazetteer.json): the postcode of each suburb and,
+// where known, the suburbs through which each street runs and the valid ranges of street numbers
+// of the street in each suburb.  For example,
+//
+//     {
+//         "suburbs": { "PROSPECT": "5082", "MEDINDIE GARDENS": "5081" },
+//         "streets": {
+//             "Main North Road": {
+//                 "suburbs": [ "PROSPECT", "MEDINDIE GARDENS" ],
+//                 "numbers": { "PROSPECT": [ [ 1, 299 ] ] }
+//             }
+//         }
+//     }
+//
+// A street that is not in the gazetteer (or a suburb without number ranges) is not checked.
+// formatAddress in parser.js uses the gazetteer to choose between equally close corrections of
+// the street and suburb names and to warn about inconsistent addresses (so that they are reviewed
+// rather than stored silently).
+
+"use strict";
+
+let fs = require("fs");
+
+// Gets the suburb and postcode of each line of suburbnames.txt (for example, "PROSPECT" and
+// "5082" for "PROSPECT SA 5082").
+
+function parseSuburbNames(suburbNames) {
+    let postcodes = {};
+    for (let suburbName of suburbNames) {
+        let match = /^(.*?)\s+[A-Z]{2,3}\s+([0-9]{4})$/.exec(suburbName.trim());
+        if (match !== null)
+            postcodes[match[1].toUpperCase()] = match[2];
+    }
+    return postcodes;
+}
+
+// Creates a gazetteer from the suburb names (see suburbnames.txt) and the contents of a gazetteer
+// file (optional).  The suburbs, postcodes and streets of the gazetteer file are checked against
+// the suburb and street names.  Throws an error if the gazetteer file is inconsistent.
+
+function createGazetteer(suburbNames, streetNames, gazetteerData) {
+    let postcodes = parseSuburbNames(suburbNames);
+    let streets = {};
+    gazetteerData = gazetteerData || {};
+
+    for (let suburb of Object.keys(gazetteerData.suburbs || {})) {
+        let postcode = gazetteerData.suburbs[suburb];
+        if (postcodes[suburb.toUpperCase()] !== undefined && postcodes[suburb.toUpperCase()] !== postcode)
+            throw new Error(`The gazetteer gives the postcode ${postcode} for ${suburb} but the suburb names give ${postcodes[suburb.toUpperCase()]}.`);
+        postcodes[suburb.toUpperCase()] = postcode;
+    }
+
+    for (let streetName of Object.keys(gazetteerData.streets || {})) {
+        if (!streetNames.some(otherStreetName => otherStreetName.toLowerCase() === streetName.toLowerCase()))
+            throw new Error(`The street "${streetName}" in the gazetteer is not in the street names.`);
+        let street = gazetteerData.streets[streetName];
+        let suburbs = (street.suburbs || []).map(suburb => suburb.toUpperCase());
+        for (let suburb of suburbs.concat(Object.keys(street.numbers || {}).map(suburb => suburb.toUpperCase())))
+            if (postcodes[suburb] === undefined)
+                throw new Error(`The suburb "${suburb}" of "${streetName}" in the gazetteer is not a known suburb.`);
+        let numbers = {};
+        for (let suburb of Object.keys(street.numbers || {}))
+            numbers[suburb.toUpperCase()] = street.numbers[suburb];
+        streets[streetName.toLowerCase()] = { name: streetName, suburbs: suburbs, numbers: numbers };
+    }
+
+    return { postcodes: postcodes, streets: streets };
+}
+
+// Reads a gazetteer file (if it exists) and creates the gazetteer (see createGazetteer).
+
+function readGazetteer(fileName, suburbNames, streetNames) {
+    let gazetteerData = (fileName !== undefined && fs.existsSync(fileName)) ? JSON.parse(fs.readFileSync(fileName).toString()) : {};
+    return createGazetteer(suburbNames, streetNames, gazetteerData);
+}
+
+// Determines whether a street runs through a suburb.  A street that is not in the gazetteer is
+// assumed to run through every suburb.
+
+function isStreetInSuburb(gazetteer, streetName, suburb) {
+    let street = gazetteer.streets[streetName.toLowerCase()];
+    return street === undefined || street.suburbs.length === 0 || street.suburbs.includes(suburb.toUpperCase());
+}
+
+// Checks an address against the gazetteer.  The street name is the full corrected street name
+// (such as "Main North Road"), the components are the components of the corrected address (see
+// formatAddress) and the postcode is the postcode as it appeared in the address before any
+// correction (or null).  Returns a warning for each inconsistency: a postcode that does not match
+// the suburb, a street that does not run through the suburb or a street number outside the known
+// ranges.
+
+function checkAddress(gazetteer, streetName, components, postcode) {
+    let warnings = [];
+    let suburb = (components.suburb || "").toUpperCase();
+    let suburbPostcode = gazetteer.postcodes[suburb];
+    if (postcode !== null && suburbPostcode !== undefined && postcode !== suburbPostcode)
+        warnings.push(`The postcode ${postcode} of the address does not match the postcode ${suburbPostcode} of ${components.suburb}.`);
+
+    if (streetName === null)
+        return warnings;
+    if (!isStreetInSuburb(gazetteer, streetName, suburb)) {
+        warnings.push(`${streetName} is not known to run through ${components.suburb}.`);
+        return warnings;
+    }
+
+    let street = gazetteer.streets[streetName.toLowerCase()];
+    let ranges = (street === undefined) ? undefined : street.numbers[suburb];
+    if (ranges !== undefined && components.streetNumber !== null) {
+        for (let number of (components.streetNumber.match(/[0-9]+/g) || []).map(Number))
+            if (!ranges.some(range => number >= range[0] && number <= range[1]))
+                warnings.push(`The street number ${number} is outside the known numbers of ${streetName} in ${components.suburb}.`);
+    }
+    return warnings;
+}
+
+module.exports = {
+    createGazetteer: createGazetteer,
+    readGazetteer: readGazetteer,
+    isStreetInSuburb: isStreetInSuburb,
+    checkAddress: checkAddress
+};
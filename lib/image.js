@@ -0,0 +1,342 @@
+// Prepares the images in PDF files for OCR.  An image is converted to an RGBA bitmap and cleaned
+// once (see convertImage and preprocessImage) and then sections of the cleaned bitmap are cut out
+// and upscaled for OCR (see createSection).  The cleaning is a pipeline of steps, each of which
+// can be switched on or off (see PreprocessingSteps):
+//
+//     deskew           detects the skew of a slightly rotated scan and rotates the image to
+//                      correct it
+//     threshold        converts the image to black and white, comparing each pixel with the
+//                      average of its neighbourhood (so that low contrast or unevenly lit scans
+//                      are handled)
+//     horizontalLines  removes horizontal black lines (on by default)
+//     verticalLines    removes vertical table rules (which merge with characters and upset the
+//                      detection of columns)
+//     despeckle        removes tiny specks of noise
+
+"use strict";
+
+let jimp = require("jimp");
+
+const DarkThreshold = 64;  // a pixel is dark if each of its red, green and blue values is less than this
+const LineMargin = 30;  // a horizontal line may stop short of the edges of the image by this total number of pixels
+const InkThreshold = 128;  // a pixel is ink (rather than paper) if its luminance is less than this
+const White = 0xffffffff;  // the colour used to erase pixels (white, fully opaque)
+
+// Settings of the pre-processing steps.
+
+const MaximumSkew = 5;  // the largest skew (in degrees) that is detected
+const SkewStep = 0.1;  // the precision (in degrees) of the detected skew
+const MinimumSkew = 0.2;  // a smaller skew (in degrees) is not worth correcting
+const SkewSampleStep = 2;  // only every second pixel (horizontally and vertically) is examined when detecting skew
+const ThresholdWindow = 31;  // the size (in pixels) of the neighbourhood averaged for adaptive thresholding
+const ThresholdPercentage = 15;  // a pixel is black if it is this percentage darker than its neighbourhood
+const MinimumRuleLength = 60;  // a vertical run of ink at least this many pixels long is a table rule (characters are much shorter)
+const MaximumSpeckleSize = 2;  // a group of at most this many connected ink pixels is a speck of noise
+
+// The pre-processing steps (in the order in which they are applied) and whether each step is
+// applied by default.
+
+const PreprocessingSteps = [
+    { name: "deskew", isDefault: false },
+    { name: "threshold", isDefault: false },
+    { name: "horizontalLines", isDefault: true },
+    { name: "verticalLines", isDefault: false },
+    { name: "despeckle", isDefault: false }
+];
+
+// Converts an image from a PDF file (with three bytes, red, green and blue, per pixel) into a
+// bitmap (with four bytes, red, green, blue and alpha, per pixel) in the same format as a jimp
+// bitmap.
+
+function convertImage(image) {
+    let data = Buffer.alloc(image.width * image.height * 4);
+    for (let index = 0, imageIndex = 0; index < data.length; index += 4, imageIndex += 3) {
+        data[index] = image.data[imageIndex];
+        data[index + 1] = image.data[imageIndex + 1];
+        data[index + 2] = image.data[imageIndex + 2];
+        data[index + 3] = 255;
+    }
+    return { width: image.width, height: image.height, data: data };
+}
+
+// Attempts to remove any horizontal black lines from a bitmap (as these usually interfere with
+// the recognition of characters that have descenders such as "g", "j", "p", "q" and "y").  The
+// bitmap is modified in place.
+
+function removeHorizontalLines(bitmap) {
+    let rowLength = bitmap.width * 4;
+    let previousColors = null;
+
+    for (let y = 0; y < bitmap.height; y++) {
+        // Count the number of dark pixels across the current horizontal line.
+
+        let rowStart = y * rowLength;
+        let darkCount = 0;
+        let colors = new Map();
+        for (let index = rowStart; index < rowStart + rowLength; index += 4) {
+            let color = bitmap.data.readUInt32BE(index);
+            if (bitmap.data[index] < DarkThreshold && bitmap.data[index + 1] < DarkThreshold && bitmap.data[index + 2] < DarkThreshold)
+                darkCount++;
+            colors.set(color, (colors.get(color) || 0) + 1);
+        }
+
+        // If there are a lot of dark pixels then it is very likely a black line.  Set all those
+        // pixels to the most common colour on the immediately previous line (choosing the lowest
+        // colour value when several colours are equally common).
+
+        if (darkCount >= bitmap.width - LineMargin && previousColors !== null) {
+            let previousColor = null;
+            let previousCount = 0;
+            for (let [ color, count ] of previousColors)
+                if (count > previousCount || (count === previousCount && color < previousColor)) {
+                    previousColor = color;
+                    previousCount = count;
+                }
+
+            for (let index = rowStart; index < rowStart + rowLength; index += 4)
+                bitmap.data.writeUInt32BE(previousColor, index);
+        }
+
+        previousColors = colors;
+    }
+
+    return bitmap;
+}
+
+// Gets the luminance (from 0 to 255) of the pixel at the specified index in the bitmap data.
+
+function getLuminance(data, index) {
+    return (data[index] * 299 + data[index + 1] * 587 + data[index + 2] * 114) / 1000;
+}
+
+// Determines whether the pixel at the specified index in the bitmap data is ink (rather than
+// paper).
+
+function isInk(data, index) {
+    return getLuminance(data, index) < InkThreshold;
+}
+
+// Detects the skew of the lines of text in a bitmap, returning the angle in degrees (positive
+// when the lines slope down to the right).  Each candidate angle is scored by projecting the ink
+// pixels onto rows along that angle: when the angle matches the skew the ink is concentrated in
+// a few rows (the lines of text), so the sum of the squared row counts is largest.
+
+function detectSkew(bitmap) {
+    let centerX = bitmap.width / 2;
+    let points = [];
+    for (let y = 0; y < bitmap.height; y += SkewSampleStep)
+        for (let x = 0; x < bitmap.width; x += SkewSampleStep)
+            if (isInk(bitmap.data, (y * bitmap.width + x) * 4))
+                points.push(x - centerX, y);
+
+    let bestAngle = 0;
+    let bestScore = -1;
+    let margin = Math.ceil(bitmap.width * Math.tan(MaximumSkew * Math.PI / 180));
+    let rowCounts = new Uint32Array(bitmap.height + 2 * margin);
+    for (let step = -Math.round(MaximumSkew / SkewStep); step <= Math.round(MaximumSkew / SkewStep); step++) {
+        let angle = step * SkewStep;
+        let slope = Math.tan(angle * Math.PI / 180);
+        rowCounts.fill(0);
+        for (let index = 0; index < points.length; index += 2)
+            rowCounts[Math.round(points[index + 1] - points[index] * slope) + margin]++;
+        let score = 0;
+        for (let count of rowCounts)
+            score += count * count;
+        if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+            bestScore = score;
+            bestAngle = angle;
+        }
+    }
+
+    return Math.round(bestAngle * 10) / 10;
+}
+
+// Rotates a bitmap about its centre to correct the specified skew (in degrees; see detectSkew),
+// filling the uncovered corners with white.  Returns a new bitmap of the same dimensions.
+
+function rotateBitmap(bitmap, angle) {
+    let data = Buffer.alloc(bitmap.data.length);
+    let sine = Math.sin(angle * Math.PI / 180);
+    let cosine = Math.cos(angle * Math.PI / 180);
+    let centerX = bitmap.width / 2;
+    let centerY = bitmap.height / 2;
+    for (let y = 0; y < bitmap.height; y++) {
+        for (let x = 0; x < bitmap.width; x++) {
+            let sourceX = Math.round(centerX + (x - centerX) * cosine - (y - centerY) * sine);
+            let sourceY = Math.round(centerY + (x - centerX) * sine + (y - centerY) * cosine);
+            let index = (y * bitmap.width + x) * 4;
+            if (sourceX >= 0 && sourceX < bitmap.width && sourceY >= 0 && sourceY < bitmap.height)
+                bitmap.data.copy(data, index, (sourceY * bitmap.width + sourceX) * 4, (sourceY * bitmap.width + sourceX) * 4 + 4);
+            else
+                data.writeUInt32BE(White, index);
+        }
+    }
+    return { width: bitmap.width, height: bitmap.height, data: data };
+}
+
+// Corrects the skew of a bitmap (see detectSkew), returning the bitmap unchanged if the skew is
+// too small to be worth correcting.
+
+function deskew(bitmap) {
+    let angle = detectSkew(bitmap);
+    if (Math.abs(angle) < MinimumSkew)
+        return bitmap;
+    console.log(`Correcting a skew of ${angle} degree(s).`);
+    return rotateBitmap(bitmap, angle);
+}
+
+// Converts a bitmap to black and white using adaptive thresholding: a pixel becomes black if it
+// is sufficiently darker than the average of the surrounding pixels (calculated efficiently
+// using a summed area table).  The bitmap is modified in place.
+
+function threshold(bitmap) {
+    let width = bitmap.width;
+    let height = bitmap.height;
+    let sums = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += getLuminance(bitmap.data, (y * width + x) * 4);
+            sums[(y + 1) * (width + 1) + x + 1] = sums[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    let radius = Math.floor(ThresholdWindow / 2);
+    for (let y = 0; y < height; y++) {
+        let top = Math.max(0, y - radius);
+        let bottom = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            let left = Math.max(0, x - radius);
+            let right = Math.min(width, x + radius + 1);
+            let sum = sums[bottom * (width + 1) + right] - sums[top * (width + 1) + right] - sums[bottom * (width + 1) + left] + sums[top * (width + 1) + left];
+            let average = sum / ((bottom - top) * (right - left));
+            let index = (y * width + x) * 4;
+            bitmap.data.writeUInt32BE((getLuminance(bitmap.data, index) * 100 < average * (100 - ThresholdPercentage)) ? 0x000000ff : White, index);
+        }
+    }
+
+    return bitmap;
+}
+
+// Removes vertical table rules from a bitmap: any vertical run of ink pixels that is much taller
+// than a character is erased.  The bitmap is modified in place.
+
+function removeVerticalLines(bitmap) {
+    for (let x = 0; x < bitmap.width; x++) {
+        let runStart = 0;
+        for (let y = 0; y <= bitmap.height; y++) {
+            if (y < bitmap.height && isInk(bitmap.data, (y * bitmap.width + x) * 4))
+                continue;
+            if (y - runStart >= MinimumRuleLength)
+                for (let runY = runStart; runY < y; runY++)
+                    bitmap.data.writeUInt32BE(White, (runY * bitmap.width + x) * 4);
+            runStart = y + 1;
+        }
+    }
+    return bitmap;
+}
+
+// Removes specks of noise from a bitmap: any group of connected ink pixels (including diagonally
+// connected pixels) that is no larger than a few pixels is erased.  The bitmap is modified in
+// place.
+
+function despeckle(bitmap) {
+    let visited = new Uint8Array(bitmap.width * bitmap.height);
+    for (let start = 0; start < visited.length; start++) {
+        if (visited[start] || !isInk(bitmap.data, start * 4))
+            continue;
+
+        // Find all of the connected ink pixels (the whole group must be found, otherwise the end of
+        // a longer stroke would later be mistaken for a separate speck).
+
+        let group = [ start ];
+        visited[start] = 1;
+        for (let index = 0; index < group.length; index++) {
+            let x = group[index] % bitmap.width;
+            let y = Math.floor(group[index] / bitmap.width);
+            for (let neighbourY = Math.max(0, y - 1); neighbourY <= Math.min(bitmap.height - 1, y + 1); neighbourY++)
+                for (let neighbourX = Math.max(0, x - 1); neighbourX <= Math.min(bitmap.width - 1, x + 1); neighbourX++) {
+                    let neighbour = neighbourY * bitmap.width + neighbourX;
+                    if (!visited[neighbour] && isInk(bitmap.data, neighbour * 4)) {
+                        visited[neighbour] = 1;
+                        group.push(neighbour);
+                    }
+                }
+        }
+
+        if (group.length <= MaximumSpeckleSize)
+            for (let pixel of group)
+                bitmap.data.writeUInt32BE(White, pixel * 4);
+    }
+    return bitmap;
+}
+
+// Gets the names of the pre-processing steps that are switched on, in the order in which they are
+// applied.  The settings optionally map step names to true or false (any step that is not
+// mentioned is switched on or off according to its default).
+
+function getPreprocessingSteps(settings) {
+    settings = settings || {};
+    for (let name of Object.keys(settings))
+        if (!PreprocessingSteps.some(step => step.name === name))
+            throw new Error(`Unknown pre-processing step "${name}" (the steps are: ${PreprocessingSteps.map(step => step.name).join(", ")}).`);
+    return PreprocessingSteps.filter(step => (settings[step.name] === undefined) ? step.isDefault : settings[step.name]).map(step => step.name);
+}
+
+// Converts the names of the pre-processing steps that are switched on into settings that switch
+// every step on or off (see getPreprocessingSteps).  Throws an error if a step is unknown.
+
+function toPreprocessingSettings(stepNames) {
+    let settings = {};
+    for (let stepName of stepNames)
+        settings[stepName] = true;
+    getPreprocessingSteps(settings);  // checks the step names
+    for (let step of PreprocessingSteps)
+        settings[step.name] = stepNames.includes(step.name);
+    return settings;
+}
+
+// Determines whether the pre-processing steps (see getPreprocessingSteps) are the default steps.
+
+function isDefaultPreprocessing(stepNames) {
+    return JSON.stringify(stepNames) === JSON.stringify(getPreprocessingSteps());
+}
+
+// Applies the pre-processing steps that are switched on (see getPreprocessingSteps) to a bitmap.
+// Returns the cleaned bitmap (which may be the same bitmap, modified in place).
+
+function preprocessImage(bitmap, settings) {
+    let stepFunctions = { deskew: deskew, threshold: threshold, horizontalLines: removeHorizontalLines, verticalLines: removeVerticalLines, despeckle: despeckle };
+    for (let stepName of getPreprocessingSteps(settings))
+        bitmap = stepFunctions[stepName](bitmap);
+    return bitmap;
+}
+
+// Cuts a horizontal section out of a bitmap and upscales that section (because this
+// significantly improves the OCR results, but also significantly increases memory usage).
+// Returns a promise for the section as a PNG image.
+
+function createSection(bitmap, sectionY, sectionHeight, scaleFactor) {
+    let rowLength = bitmap.width * 4;
+    let section = new jimp(bitmap.width, sectionHeight);
+    bitmap.data.copy(section.bitmap.data, 0, sectionY * rowLength, (sectionY + sectionHeight) * rowLength);
+    section.scale(scaleFactor, jimp.RESIZE_BEZIER);
+    return new Promise((resolve, reject) => section.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
+}
+
+module.exports = {
+    PreprocessingSteps: PreprocessingSteps,
+    convertImage: convertImage,
+    removeHorizontalLines: removeHorizontalLines,
+    detectSkew: detectSkew,
+    rotateBitmap: rotateBitmap,
+    deskew: deskew,
+    threshold: threshold,
+    removeVerticalLines: removeVerticalLines,
+    despeckle: despeckle,
+    getPreprocessingSteps: getPreprocessingSteps,
+    toPreprocessingSettings: toPreprocessingSettings,
+    isDefaultPreprocessing: isDefaultPreprocessing,
+    preprocessImage: preprocessImage,
+    createSection: createSection
+};
@@ -0,0 +1,38 @@
+// Parses development applications from the PDF files published by South Australian councils.
+// Loading this module has no side effects; see scraper.js for the command line entry point.
+//
+// For example, to parse a PDF file and collect the development applications in memory:
+//
+//     let scraper = require("./lib");
+//     let options = Object.assign(scraper.readCorrectionData(), { commentUrl: "mailto:admin@prospect.sa.gov.au" });
+//     let sink = scraper.createMemorySink();
+//     await scraper.parsePdf(sink, pdfUrl, pdf, options);
+//     console.log(sink.developmentApplications);
+
+"use strict";
+
+let parser = require("./parser.js");
+let database = require("./database.js");
+let sinks = require("./sinks.js");
+let classifier = require("./classifier.js");
+let applicationNumbers = require("./applicationnumber.js");
+let image = require("./image.js");
+let ocr = require("./ocr.js");
+let cache = require("./cache.js");
+let diff = require("./diff.js");
+let councils = require("./councils.js");
+let server = require("./server.js");
+let alerts = require("./alerts.js");
+let statistics = require("./statistics.js");
+let fetch = require("./fetch.js");
+let documents = require("./documents.js");
+let comparison = require("./comparison.js");
+let corrections = require("./corrections.js");
+let debug = require("./debug.js");
+let reconciliation = require("./reconciliation.js");
+let spelling = require("./spelling.js");
+let gazetteer = require("./gazetteer.js");
+let ledger = require("./ledger.js");
+let localFiles = require("./localfiles.js");
+
+module.exports = Object.assign({}, parser, database, sinks, classifier, applicationNumbers, image, ocr, cache, diff, councils, server, alerts, statistics, fetch, documents, comparison, corrections, debug, reconciliation, spelling, gazetteer, ledger, localFiles);
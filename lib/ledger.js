@@ -0,0 +1,102 @@
+// Parses the documents recorded in the ledger of documents (see updateDocuments in database.js).
+// Only a portion of the development register is parsed in each run (OCR is extremely memory and
+// CPU intensive), so progress is recorded after every page and the next run resumes where the
+// previous run stopped.  Documents that were completely parsed are checked for changes (see
+// recheckDocuments) and parsed again if they changed.
+
+"use strict";
+
+let pdfjs = require("pdfjs-dist");
+let database = require("./database.js");
+let fetch = require("./fetch.js");
+let parser = require("./parser.js");
+
+const MaximumAttempts = 3;  // the number of times that parsing of a document is started before giving up on that document
+
+// Parses the documents in the ledger that have not yet been completely parsed, stopping once the
+// time budget (in minutes) or page budget for the current run has been used up.  Progress is
+// recorded after every page so that if the process is terminated (for example, because it used
+// too much memory) the next run resumes parsing at the page where this run stopped.
+
+async function parseDocuments(sqliteDatabase, sink, options, timeBudget, pageBudget) {
+    let startTime = Date.now();
+    let pageCount = 0;
+    let isBudgetExhausted = () => (Date.now() - startTime >= timeBudget * 60 * 1000 || pageCount >= pageBudget);
+
+    let documents = await database.getUnprocessedDocuments(sqliteDatabase);
+    console.log(`There are ${documents.length} document(s) that have not yet been completely parsed.`);
+
+    for (let document of documents) {
+        if (isBudgetExhausted()) {
+            console.log("The time or page budget for this run has been used up.");
+            break;
+        }
+
+        // Give up on a document that has repeatedly failed to be completely parsed (for example,
+        // because the process was terminated while parsing the same page each time).
+
+        let attempts = document.attempts + 1;
+        if (attempts > MaximumAttempts) {
+            console.log(`Giving up on document after ${document.attempts} attempts: ${document.url}`);
+            await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.Failed, document.pages_completed, document.attempts, "Too many attempts.");
+            continue;
+        }
+
+        let pagesCompleted = document.pages_completed;
+        await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.InProgress, pagesCompleted, attempts);
+
+        try {
+            // Read the PDF containing an image of several development applications.  Note that
+            // setting disableFontFace to true avoids a "document is not defined" exception that
+            // is otherwise thrown in fontLoaderInsertRule.
+
+            console.log(`Retrieving document: ${document.url}`);
+            if (pagesCompleted > 0)
+                console.log(`Resuming at page ${pagesCompleted + 1}.`);
+            let result = await fetch.fetchDocument(document.url);
+            await database.updateDocumentValidators(sqliteDatabase, document.url, result.etag, result.lastModified, result.contentHash, true);
+            let pdf = await pdfjs.getDocument({ data: new Uint8Array(result.data), disableFontFace: true });
+
+            let isComplete = await parser.parsePdf(sink, document.url, pdf, options, pagesCompleted + 1, async pageNumber => {  // this inserts development applications into the sink
+                pagesCompleted = pageNumber;
+                pageCount++;
+                await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.InProgress, pagesCompleted, attempts);
+                return !isBudgetExhausted();
+            });
+
+            if (isComplete)
+                await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.Done, pagesCompleted, attempts);
+        } catch (error) {
+            console.error(error);
+            await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.Failed, pagesCompleted, attempts, error.message);
+        }
+    }
+}
+
+// Checks whether each completely parsed document has changed since it was retrieved (using a
+// conditional request, so that an unchanged document is not downloaded again).  A changed
+// document is returned to the pending documents so that it is parsed again.  A document that
+// cannot be retrieved is left unchanged (it is checked again in the next run).
+
+async function recheckDocuments(sqliteDatabase) {
+    let documents = await database.getCompletedDocuments(sqliteDatabase);
+    console.log(`Checking ${documents.length} completely parsed document(s) for changes.`);
+    for (let document of documents) {
+        try {
+            let result = await fetch.fetchDocument(document.url, document);
+            await database.updateDocumentValidators(sqliteDatabase, document.url, result.etag, result.lastModified, result.contentHash, result.data !== null);
+            if (result.isModified) {
+                console.log(`Document has changed since it was parsed (it will be parsed again): ${document.url}`);
+                await database.updateDocumentStatus(sqliteDatabase, document.url, database.DocumentStatus.Pending, 0, 0);
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+}
+
+module.exports = {
+    MaximumAttempts: MaximumAttempts,
+    parseDocuments: parseDocuments,
+    recheckDocuments: recheckDocuments
+};
@@ -0,0 +1,77 @@
+// Parses local PDF files (a single PDF file or a directory of PDF files) without any network
+// access, so that archived development registers can be parsed again and parsing can be debugged
+// without downloading the documents again.  The URL recorded as the source of each PDF file is
+// taken from the command line or from an optional sidecar manifest (see readManifest).
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let urlparser = require("url");
+let pdfjs = require("pdfjs-dist");
+let parser = require("./parser.js");
+
+// The name of the optional sidecar manifest that maps local PDF file names to the URLs from
+// which those PDF files were originally downloaded.
+
+const ManifestFileName = "manifest.json";
+
+// Reads the sidecar manifest (if any) in the specified directory.  The manifest maps the names of
+// local PDF files to the URLs from which they were originally downloaded, for example,
+//
+//     { "DevelopmentRegister-July2018.pdf": "https://www.prospect.sa.gov.au/.../DevelopmentRegister-July2018.pdf" }
+
+function readManifest(directoryPath) {
+    let manifestPath = path.join(directoryPath, ManifestFileName);
+    if (!fs.existsSync(manifestPath))
+        return {};
+    return JSON.parse(fs.readFileSync(manifestPath).toString());
+}
+
+// Finds the local PDF files at the specified path (either a single PDF file or a directory of PDF
+// files) and determines the URL to record as the source of each PDF file.  The source URL is
+// taken from the command line, then from the sidecar manifest and otherwise falls back to a file
+// URL for the local PDF file.
+
+function findLocalPdfs(localPath, sourceUrl) {
+    let localPdfs = [];
+    if (fs.statSync(localPath).isDirectory()) {
+        let manifest = readManifest(localPath);
+        for (let fileName of fs.readdirSync(localPath).sort())
+            if (fileName.toLowerCase().endsWith(".pdf"))
+                localPdfs.push({ path: path.join(localPath, fileName), url: manifest[fileName] });
+    } else {
+        let manifest = readManifest(path.dirname(localPath));
+        localPdfs.push({ path: localPath, url: sourceUrl || manifest[path.basename(localPath)] });
+    }
+
+    for (let localPdf of localPdfs)
+        if (localPdf.url === undefined)
+            localPdf.url = urlparser.format({ protocol: "file", slashes: true, pathname: path.resolve(localPdf.path) });
+
+    return localPdfs;
+}
+
+// Parses the local PDF files at the specified path (either a single PDF file or a directory of
+// PDF files).  No network access is required.
+
+async function parseLocalPdfs(sink, localPath, sourceUrl, options) {
+    let localPdfs = findLocalPdfs(localPath, sourceUrl);
+    if (localPdfs.length === 0) {
+        console.log(`No PDFs were found at: ${localPath}`);
+        return;
+    }
+
+    for (let localPdf of localPdfs) {
+        console.log(`Reading document: ${localPdf.path} (source ${localPdf.url})`);
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(localPdf.path)), disableFontFace: true });
+        await parser.parsePdf(sink, localPdf.url, pdf, options);  // this inserts development applications into the sink
+    }
+}
+
+module.exports = {
+    ManifestFileName: ManifestFileName,
+    readManifest: readManifest,
+    findLocalPdfs: findLocalPdfs,
+    parseLocalPdfs: parseLocalPdfs
+};
@@ -0,0 +1,98 @@
+// Performs OCR on images using a bounded pool of tesseract.js workers.  Each worker is a separate
+// process, so several sections of an image can be recognised at the same time.  The number of
+// workers is limited by the following options:
+//
+//     ocrWorkerCount  the maximum number of workers (optional, defaults to the number of CPUs)
+//     ocrMemoryLimit  the total memory in MB that may be used by this process and the workers
+//                     (optional, defaults to 512 MB, which is the hard limit when running in
+//                     morph.io)
+
+"use strict";
+
+let os = require("os");
+let tesseract = require("tesseract.js");
+
+const DefaultMemoryLimit = 512;  // MB
+const WorkerMemory = 300;  // each worker reserves a 256 MB heap for tesseract plus approximately 40 MB for the process (in MB)
+const MaximumRecognitionCount = 100;  // a worker is restarted after this many recognitions (so that any memory it leaks is released)
+
+// Determines the number of workers that fit within the memory limit (always allowing at least
+// one worker).
+
+function getWorkerCount(options) {
+    let requestedCount = options.ocrWorkerCount || os.cpus().length;
+    let memoryLimit = options.ocrMemoryLimit || DefaultMemoryLimit;
+    let usedMemory = process.memoryUsage().rss / (1024 * 1024);
+    return Math.max(1, Math.min(requestedCount, Math.floor((memoryLimit - usedMemory) / WorkerMemory)));
+}
+
+// Creates a pool of workers.  Call recognize to perform OCR on an image (a PNG buffer); this
+// returns a promise for the result from tesseract.js.  Images are queued until a worker is
+// available.  Call terminate once all images have been recognised to end the worker processes.
+
+function createOcrPool(options) {
+    let workerCount = getWorkerCount(options || {});
+    let workers = [];
+    for (let index = 0; index < workerCount; index++)
+        workers.push({ tesseract: null, recognitionCount: 0, isBusy: false });
+    let queue = [];
+
+    // Starts recognising the next queued image on the specified (idle) worker.
+
+    function dequeue(worker) {
+        if (queue.length === 0)
+            return;
+
+        let request = queue.shift();
+        if (worker.tesseract === null)
+            worker.tesseract = tesseract.create();
+        worker.isBusy = true;
+
+        let finish = () => {
+            worker.isBusy = false;
+            worker.recognitionCount++;
+            if (worker.recognitionCount >= MaximumRecognitionCount) {
+                worker.tesseract.terminate();
+                worker.tesseract = null;
+                worker.recognitionCount = 0;
+            }
+            dequeue(worker);
+        };
+
+        worker.tesseract.recognize(request.imageBuffer).then(result => {
+            finish();
+            request.resolve(result);
+        }, error => {
+            // Restart the worker in case the error left it in an unusable state.
+
+            worker.recognitionCount = MaximumRecognitionCount;
+            finish();
+            request.reject(error);
+        });
+    }
+
+    return {
+        workerCount: workerCount,
+        recognize: imageBuffer => new Promise((resolve, reject) => {
+            queue.push({ imageBuffer: imageBuffer, resolve: resolve, reject: reject });
+            let worker = workers.find(worker => !worker.isBusy);
+            if (worker !== undefined)
+                dequeue(worker);
+        }),
+        terminate: () => {
+            for (let worker of workers)
+                if (worker.tesseract !== null) {
+                    worker.tesseract.terminate();
+                    worker.tesseract = null;
+                    worker.recognitionCount = 0;
+                }
+            if (global.gc)
+                global.gc();
+        }
+    };
+}
+
+module.exports = {
+    getWorkerCount: getWorkerCount,
+    createOcrPool: createOcrPool
+};
@@ -0,0 +1,1236 @@
+// Parses development applications from the text and images of PDF files.  None of the functions
+// here have side effects other than through the sink passed to parsePdf (and the optional
+// recording and caching directories below).  The parsing functions accept the following options:
+//
+//     streetNames              all street names (used when correcting addresses)
+//     suburbNames              all suburb names, with state and postcode (used when correcting
+//                              addresses)
+//     spellingCorrections      an object mapping common misspellings in the description text to
+//                              their corrections
+//     englishWords             common English words (used to recognise words in the description
+//                              text; see spelling.js)
+//     vocabulary               all recognised words (see createVocabulary in spelling.js)
+//     fuzzySpellingConfidence  corrects unrecognised words in the description text to the closest
+//                              word in the vocabulary if the confidence percentage of the
+//                              correction is at least this (optional, by default only the
+//                              spelling corrections are applied)
+//     layouts                  the layouts of the columns in the register (see layouts.json)
+//     gazetteer                the suburbs through which streets run and the postcode of each
+//                              suburb (optional, see gazetteer.js)
+//     corrections              manual corrections of development applications, keyed by
+//                              application number (optional, see corrections.js)
+//     commentUrl               the comment URL recorded for each development application
+//     scaleFactor              the scale factor for sections of images (optional)
+//     linesRecordingDirectory  the directory in which the lines of words passed to parseLines
+//                              are recorded as test fixtures (optional)
+//     debugDirectory           the directory in which an annotated HTML page is written for
+//                              the lines of words passed to parseLines (optional, see debug.js)
+//     ocrPool                  the OCR pool used when parsing images (optional, see ocr.js)
+//     ocrWorkerCount           the maximum number of OCR workers (optional, see ocr.js)
+//     ocrMemoryLimit           the memory limit in MB for the OCR workers (optional, see ocr.js)
+//     ocrCacheDirectory        the directory in which OCR results are cached (optional, see
+//                              cache.js)
+//     preprocessing            an object that switches the pre-processing steps applied to
+//                              images before OCR on or off (optional, see image.js)
+//     statistics               the statistics of the run, which are updated while parsing
+//                              (optional, see statistics.js)
+//
+// See readCorrectionData for reading the street names, suburb names, spelling corrections and
+// manual corrections from files.
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let urlparser = require("url");
+let moment = require("moment");
+let pdfjs = require("pdfjs-dist");
+let didyoumean = require("didyoumean2");
+let classifier = require("./classifier.js");
+let applicationNumbers = require("./applicationnumber.js");
+let imaging = require("./image.js");
+let ocr = require("./ocr.js");
+let cache = require("./cache.js");
+let statistics = require("./statistics.js");
+let corrections = require("./corrections.js");
+let debug = require("./debug.js");
+let reconciliation = require("./reconciliation.js");
+let spelling = require("./spelling.js");
+let gazetteer = require("./gazetteer.js");
+
+const RejectionReasons = statistics.RejectionReasons;
+
+// The sources from which the text of a development application can be obtained: the text layer
+// of the PDF (see parseText), OCR of an image in the PDF (see parseImage) or a manual correction
+// (see applyCorrections).
+
+const Source = {
+    Text: "text",
+    Ocr: "ocr",
+    Manual: corrections.ManualSource
+};
+
+// Heights and widths used when recognising text in an image.
+
+const DefaultScaleFactor = 5.0;  // the scale factor for sections of images
+const LineHeight = 15;  // the tallest line of text is approximately this many pixels high
+const SectionHeight = LineHeight * 2;  // the text will be examined in sections of this height (in pixels)
+const SectionStep = 5;  // the next section of text examined will be offset vertically this number of pixels
+const ColumnGap = 15;  // the horizontal gap between columns is assumed to be larger than about 15 pixels
+const ColumnAlignment = 10;  // text above or below within this number of horizontal pixels is considered to be aligned at the start of a column
+const LineAlignment = 5;  // text within this number of pixels vertically is considered to be on the same line
+
+// Thresholds used when merging near duplicate development applications (see mergeNearDuplicates).
+
+const SimilarTextDistance = 2;  // texts differing by at most this many characters are considered similar
+const SimilarTextProportion = 0.2;  // or differing by at most this proportion of their characters
+
+// Column layouts and headings (see layouts.json).
+
+const DefaultColumnCount = 5;  // received date, application number, description, applicant and address
+const MaximumHeadingWords = 4;  // a column heading is assumed to consist of at most this many words
+const HeadingThreshold = 2;  // the number of characters that may differ when matching a column heading
+const SlashFields = [ "receivedDate", "applicationNumber" ];  // fields that are expected to contain slashes (and no spaces)
+const RequiredFields = [ "applicationNumber", "address" ];  // fields that every layout must include
+
+// The files read by readCorrectionData when no other files are specified.
+
+const DefaultCorrectionFileNames = {
+    streetNames: "streetnames.txt",
+    suburbNames: "suburbnames.txt",
+    spellingCorrections: "words.txt",
+    englishWords: "englishwords.txt",
+    layouts: "layouts.json",
+    gazetteer: "gazetteer.json",
+    corrections: "corrections.json"
+};
+
+// The layout used when no layouts are specified in the options (see layouts.json for more
+// layouts).
+
+const DefaultLayouts = [
+    {
+        name: "prospect",
+        columns: [
+            { field: "receivedDate", headings: [ "Date Received" ] },
+            { field: "applicationNumber", headings: [ "Application No" ] },
+            { field: "description", headings: [ "Description" ] },
+            { field: "applicant", headings: [ "Applicant", "From (Applicant)" ] },
+            { field: "address", headings: [ "Address", "From (Applicant)" ] }
+        ]
+    }
+];
+
+// The street types that may appear at the end of a street name (for example, "Street" in "King
+// Street").  Any words after the street type are considered part of the street type (for example,
+// "Lane East" in "Irish Harp Lane East").
+
+const StreetTypes = [ "Avenue", "Close", "Court", "Crescent", "Drive", "Grove", "Lane", "Parade", "Park", "Place", "Road", "Street", "Terrace", "Way" ];
+
+// Reads the column layouts from a JSON file (see layouts.json), checking that each layout includes
+// the required fields.
+
+function readLayouts(fileName) {
+    let layouts = JSON.parse(fs.readFileSync(fileName).toString());
+    for (let layout of layouts)
+        for (let field of RequiredFields)
+            if (!layout.columns.some(column => column.field === field))
+                throw new Error(`The "${layout.name}" layout in ${fileName} does not include the required "${field}" column.`);
+    return layouts;
+}
+
+// Reads the files containing all possible suburb and street names, the file containing spelling
+// corrections for the description text, the file containing common English words (from which,
+// along with the other files, the vocabulary is created), the file containing column layouts, the
+// (optional) gazetteer file and the (optional) file containing manual corrections from the
+// specified directory (by default the current directory).  The names of the files may be
+// specified (see councils.json); by default the City of Prospect files are read.  The result can
+// be passed as the options of the parsing functions.
+
+function readCorrectionData(directory, fileNames) {
+    fileNames = Object.assign({}, DefaultCorrectionFileNames, fileNames);
+    let readLines = fileName => fs.readFileSync(path.join(directory || ".", fileName)).toString().replace(/\r/g, "").trim().split("\n");
+
+    let spellingCorrections = {};
+    for (let correction of readLines(fileNames.spellingCorrections))
+        spellingCorrections[correction.split(",")[0]] = correction.split(",")[1];
+
+    let options = {
+        streetNames: readLines(fileNames.streetNames),
+        suburbNames: readLines(fileNames.suburbNames),
+        spellingCorrections: spellingCorrections,
+        englishWords: readLines(fileNames.englishWords),
+        layouts: readLayouts(path.join(directory || ".", fileNames.layouts)),
+        corrections: (fileNames.corrections === undefined) ? {} : corrections.readCorrections(path.join(directory || ".", fileNames.corrections))
+    };
+    options.vocabulary = spelling.createVocabulary(spelling.getWordLists(options));
+    options.gazetteer = gazetteer.readGazetteer((fileNames.gazetteer === undefined) ? undefined : path.join(directory || ".", fileNames.gazetteer), options.suburbNames, options.streetNames);
+    return options;
+}
+
+// Corrects common spelling errors in the description text (using options.spellingCorrections and,
+// if options.fuzzySpellingConfidence is specified, the closest words in options.vocabulary).
+
+function formatDescription(description, options) {
+    // Replace a common misspelling.
+
+    description = description.replace(/ﬁ/g, "fi");
+
+    // Split the text whenever a sequence of letters is encountered.  And then correct any common
+    // misspellings of words (for example, correct "Existinq" to "Existing").
+
+    let formattedDescription = "";
+    let isPreviousLetter = null;
+    let previousIndex = null;
+
+    for (let index = 0; index <= description.length; index++) {
+        let c = (index === description.length) ? 0 : description.charCodeAt(index);
+        let isLetter = (c >= 65 && c <= 90) || (c >= 97 && c <= 122);  // A-Z or a-z
+        if (isLetter !== isPreviousLetter || c === 0) {
+            if (previousIndex !== null) {
+                let word = description.substring(previousIndex, index);
+                let spellingCorrection = options.spellingCorrections[word];
+                if (spellingCorrection === undefined && isPreviousLetter && options.fuzzySpellingConfidence !== undefined && options.vocabulary !== undefined)
+                    spellingCorrection = spelling.correctWord(word, options.vocabulary, options.fuzzySpellingConfidence);
+                formattedDescription += (spellingCorrection === undefined) ? word : spellingCorrection;
+            }
+            previousIndex = index;
+            isPreviousLetter = isLetter;
+        }
+    }
+
+    return formattedDescription;
+}
+
+// Formats addresses, correcting any minor spelling errors.  An address is expected to be in the
+// following format:
+//
+//     <StreetNumber> <StreetName> <SuburbName> <StateAbbreviation> <PostCode>
+//
+// where,
+//
+//     <StreetNumber> may contain digits, dashes, slashes (and sometimes spaces)
+//     <StreetName> is in mixed case and may contain spaces
+//     <SuburbName> is usually all uppercase (occasionally mixed case) and may contain spaces
+//     <StateAbbreviation> is in all uppercase and may not contain spaces
+//     <PostCode> is four digits and may not contain spaces
+//
+// for example,
+//
+//     2/121-130A Main North Road MEDINDIE GARDENS SA 5083
+//
+// The street and suburb names are corrected using options.streetNames and options.suburbNames.
+// When several street or suburb names are equally close, options.gazetteer (if specified) is used
+// to choose a street that runs through the suburb; any inconsistencies between the street, street
+// number, suburb and postcode are returned as warnings (see gazetteer.js).  The recognised parts
+// of the address are also returned as separate components (see createAddressComponents).
+
+function formatAddress(address, options) {
+    let tokens = address.trim().split(/\s+/);
+    let formattedAddress = { text: address.trim(), hasStreet: false, hasRecognizedStreet: false, hasRecognizedSuburb: false, components: createAddressComponents(), warnings: [] };
+
+    // Extract the suburb name (with the state abbreviation and postcode, as listed in
+    // options.suburbNames) while allowing several spaces.  For example, "MEDI NDIE GARDE NS SA
+    // 5081" and "FIT ZROY SA 5082".  This attempts to correct the suburb name (but only allows a
+    // small amount of change because otherwise a valid street or suburb name such as "Churcher"
+    // could be accidentally converted to another equally valid street or suburb name such as
+    // "Church").
+
+    let suburbName = null;
+    let suburbNameMatches = [];
+    for (let index = 0; index < 5 && suburbNameMatches.length === 0; index++) {
+        suburbName = (tokens.pop() || "") + ((index === 0) ? "" : (" " + suburbName));
+        suburbNameMatches = didyoumean(suburbName, options.suburbNames, { caseSensitive: false, returnType: "all-closest-matches", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+    }
+
+    if (suburbNameMatches.length === 0 || tokens.length === 0)
+        return formattedAddress;  // give up after several spaces (and assume the address is invalid)
+
+    let suburbNameMatch = suburbNameMatches[0];
+    let postcodeMatch = /([0-9]{4})$/.exec(suburbName.trim());  // the postcode before any correction
+    formattedAddress.hasRecognizedSuburb = true;
+    parseSuburbName(suburbNameMatch, formattedAddress.components);
+
+    // Extract the street name, similarly allowing several spaces, and similarly attempting to
+    // correct the street name (allowing only a small amount of change).
+
+    formattedAddress.hasStreet = (tokens.length > 0);
+    let removedTokens = [];
+
+    let streetName = null;
+    let streetNameMatch = null;
+    let streetNameMatches = [];
+    while (tokens.length > 0) {
+        let token = tokens[0];
+        if (!/^[0-9]+$/.test(token) && !/^[0-9][A-Za-z]$/.test(token) && token.length >= 2) {  // ignore street numbers, otherwise "6 King Street" is changed to "King Street"; ignore a single character such as "S" (because it is probably, really the digit "5")
+            streetName = tokens.join(" ");
+            streetNameMatches = didyoumean(streetName, options.streetNames, { caseSensitive: false, returnType: "all-closest-matches", thresholdType: "edit-distance", threshold: 3, trimSpace: true });
+            streetNameMatch = (streetNameMatches.length === 0) ? null : streetNameMatches[0];
+            if (streetNameMatch !== null && !(streetName[2] === " " && streetName.substring(3).toLowerCase() === streetNameMatch.toLowerCase()))  // avoid converting "SB Iona Street" to "Iona Street" (the "S" is probably really a "5")
+                break;
+        }
+        tokens.shift();
+        removedTokens.push(token);
+    }
+
+    if (streetNameMatch === null) {
+        if (suburbNameMatch !== suburbName)
+            formattedAddress.text = (removedTokens.join(" ") + " " + suburbNameMatch).trim();  // attempt to preserve the corrected suburb name
+        if (options.gazetteer !== undefined)
+            formattedAddress.warnings = gazetteer.checkAddress(options.gazetteer, null, formattedAddress.components, (postcodeMatch === null) ? null : postcodeMatch[1]);
+        return formattedAddress;  // give up after several spaces
+    }
+
+    // Choose between equally close street and suburb names (preferring a street that is known to
+    // run through the suburb).
+
+    if (options.gazetteer !== undefined && (streetNameMatches.length > 1 || suburbNameMatches.length > 1)) {
+        let names = chooseConsistentNames(streetNameMatches, suburbNameMatches, options.gazetteer);
+        streetNameMatch = names.streetName;
+        suburbNameMatch = names.suburbName;
+        parseSuburbName(suburbNameMatch, formattedAddress.components);
+    }
+
+    formattedAddress.hasRecognizedStreet = true;
+    parseStreetName(streetNameMatch, formattedAddress.components);
+    parseStreetNumber(removedTokens, formattedAddress.components);
+    if (options.gazetteer !== undefined)
+        formattedAddress.warnings = gazetteer.checkAddress(options.gazetteer, streetNameMatch, formattedAddress.components, (postcodeMatch === null) ? null : postcodeMatch[1]);
+
+    // Reconstruct the corrected address.
+
+    if (streetNameMatch !== streetName || suburbNameMatch !== suburbName)
+        formattedAddress.text = (removedTokens.join(" ") + " " + streetNameMatch).trim() + " " + suburbNameMatch;
+
+    return formattedAddress;
+}
+
+// Chooses a street name and a suburb name (each with the state and postcode) from equally close
+// matches, preferring a street that the gazetteer knows runs through the suburb, then a street
+// that is not in the gazetteer, and otherwise the first matches.
+
+function chooseConsistentNames(streetNames, suburbNames, gazetteerData) {
+    let pairs = [];
+    for (let streetName of streetNames)
+        for (let suburbName of suburbNames)
+            pairs.push({ streetName: streetName, suburbName: suburbName });
+
+    let getSuburb = suburbName => {
+        let components = createAddressComponents();
+        parseSuburbName(suburbName, components);
+        return components.suburb;
+    };
+    let isKnownStreet = streetName => gazetteerData.streets[streetName.toLowerCase()] !== undefined;
+
+    return pairs.find(pair => isKnownStreet(pair.streetName) && gazetteer.isStreetInSuburb(gazetteerData, pair.streetName, getSuburb(pair.suburbName))) ||
+        pairs.find(pair => gazetteer.isStreetInSuburb(gazetteerData, pair.streetName, getSuburb(pair.suburbName))) ||
+        pairs[0];
+}
+
+// Creates the components of an address (each component is null until it is recognised).  For
+// example, the components of "2/121-130A Main North Road MEDINDIE GARDENS SA 5083" are the unit
+// "2", the street number "121-130A", the street name "Main North", the street type "Road", the
+// suburb "MEDINDIE GARDENS" and the postcode "5083".
+
+function createAddressComponents() {
+    return { unit: null, streetNumber: null, streetName: null, streetType: null, suburb: null, postcode: null };
+}
+
+// Parses a recognised suburb name (such as "MEDINDIE GARDENS SA 5083") into the suburb and
+// postcode components of an address.
+
+function parseSuburbName(suburbName, components) {
+    let match = /^(.*?)\s+[A-Z]{2,3}\s+([0-9]{4})$/.exec(suburbName.trim());
+    if (match === null)
+        components.suburb = suburbName.trim();
+    else {
+        components.suburb = match[1];
+        components.postcode = match[2];
+    }
+}
+
+// Parses a recognised street name (such as "Main North Road") into the street name and street
+// type components of an address.
+
+function parseStreetName(streetName, components) {
+    let words = streetName.trim().split(/\s+/);
+    for (let index = words.length - 1; index >= 1; index--) {
+        if (StreetTypes.some(streetType => streetType.toLowerCase() === words[index].toLowerCase())) {
+            components.streetName = words.slice(0, index).join(" ");
+            components.streetType = words.slice(index).join(" ");
+            return;
+        }
+    }
+    components.streetName = words.join(" ");
+}
+
+// Parses the tokens that appear before the street name (such as "2/121-130A") into the unit and
+// street number (or range of street numbers) components of an address.  Spaces around dashes and
+// slashes are ignored (for example, "121 - 130A" is treated as "121-130A").
+
+function parseStreetNumber(tokens, components) {
+    let streetNumber = tokens.join(" ").replace(/\s*([-/])\s*/g, "$1").trim();
+    if (streetNumber === "")
+        return;
+
+    let slashIndex = streetNumber.lastIndexOf("/");
+    if (slashIndex > 0) {
+        components.unit = streetNumber.substring(0, slashIndex);
+        streetNumber = streetNumber.substring(slashIndex + 1);
+    }
+    components.streetNumber = (streetNumber === "") ? null : streetNumber;
+}
+
+// Finds the potential starting X co-ordinates of columns by looking for words that follow a gap
+// of at least the specified size.  Each potential column has a count of how many times a word
+// starts at that X co-ordinate (the higher the count the more likely it is that this is actually
+// the start of a column).
+
+function findColumnStarts(lines, columnGap, scaleFactor) {
+    let columns = [];
+    for (let line of lines) {
+        let previousWord = null;
+        for (let word of line) {
+            if (previousWord === null || word.bounds.x - (previousWord.bounds.x + previousWord.bounds.width) >= columnGap * scaleFactor) {
+                let closestColumn = columns.find(column => Math.abs(word.bounds.x - column.x) < ColumnAlignment * scaleFactor);
+                if (closestColumn !== undefined)
+                    closestColumn.count++;
+                else
+                    columns.push({ x: word.bounds.x, count: 1 });
+            }
+            previousWord = word;
+        }
+    }
+    return columns;
+}
+
+// Determine the starting X co-ordinate of each column (where the expected number of columns is
+// by default five: received date, application number, description, applicant and address).
+
+function findColumns(lines, scaleFactor, columnCount) {
+    columnCount = columnCount || DefaultColumnCount;
+
+    // Start with a large column gap.  Continue to reduce this until exactly the expected number
+    // of columns are found.  This then caters for some documents where the column gap is very
+    // narrow.
+
+    for (let columnGap = ColumnGap; columnGap >= 1; columnGap--) {
+        // Determine where each column is located on each line.  This is partly determined by
+        // looking for the sizable gaps between columns.
+
+        let columns = findColumnStarts(lines, columnGap, scaleFactor);
+
+        // Ignore columns that have low counts.
+
+        let totalCount = 0;
+        for (let column of columns)
+            totalCount += column.count;
+        let averageCount = totalCount / columnCount;  // assume there are this many "major" columns
+        columns = columns.filter(column => column.count > averageCount / 2);  // low counts indicate low likelihood of the start of a column (arbitrarily use the average count divided by two as a threshold)
+        columns.sort((column1, column2) => (column1.x > column2.x) ? 1 : ((column1.x < column2.x) ? -1 : 0));
+
+        // Check if the expected number of columns have been found.
+
+        if (columns.length === columnCount)
+            return columns;
+    }
+
+    return null;
+}
+
+// Normalises the text of a column heading so that headings can be compared while ignoring case,
+// spaces and punctuation (for example, "Application No." becomes "applicationno").
+
+function normalizeHeading(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Finds the first of the specified headings in a line of words, starting at the specified word
+// index and allowing a small amount of change (because headings obtained by OCR may contain
+// minor errors).  Returns the indices of the first word and the word after the last word of the
+// heading (or null if none of the headings were found).
+
+function findHeading(line, startIndex, headings) {
+    let normalizedHeadings = headings.map(normalizeHeading);
+    for (let wordIndex = startIndex; wordIndex < line.length; wordIndex++) {
+        for (let wordCount = Math.min(MaximumHeadingWords, line.length - wordIndex); wordCount >= 1; wordCount--) {
+            let text = normalizeHeading(line.slice(wordIndex, wordIndex + wordCount).map(word => word.text).join(""));
+            if (text !== "" && didyoumean(text, normalizedHeadings, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: HeadingThreshold }) !== null)
+                return { startIndex: wordIndex, endIndex: wordIndex + wordCount };
+        }
+    }
+    return null;
+}
+
+// Determine the starting X co-ordinate of each column of a layout from the headings of the
+// columns (the headings are found in order from left to right on a single line).  The headings
+// must be aligned with the text in the columns below them (otherwise null is returned so that
+// the columns can instead be determined from the gaps between columns).
+
+function findHeadingColumns(lines, layout, scaleFactor) {
+    for (let headingLine of lines) {
+        let columns = [];
+        let wordIndex = 0;
+        for (let layoutColumn of layout.columns) {
+            let heading = findHeading(headingLine, wordIndex, layoutColumn.headings);
+            if (heading === null)
+                break;
+            columns.push({ x: headingLine[heading.startIndex].bounds.x, field: layoutColumn.field });
+            wordIndex = heading.endIndex;
+        }
+
+        if (columns.length < layout.columns.length)
+            continue;
+
+        // Check that text on other lines is aligned with each heading.
+
+        let headingY = headingLine[0].bounds.y;
+        let otherLines = lines.filter(line => line.length > 0 && Math.abs(line[0].bounds.y - headingY) >= LineAlignment * scaleFactor);
+        if (columns.every(column => otherLines.some(line => line.some(word => Math.abs(word.bounds.x - column.x) < ColumnAlignment * scaleFactor))))
+            return columns;
+    }
+    return null;
+}
+
+// Chooses the layout of the columns (see layouts.json).  Layouts are first chosen based on the
+// column headings.  If no column headings are found then the first layout with the same number
+// of columns as determined from the gaps between columns is chosen.  Returns the name of the
+// chosen layout along with the starting X co-ordinate and field of each column (or null if no
+// layout matched).
+
+function findLayout(lines, scaleFactor, layouts) {
+    for (let layout of layouts) {
+        let columns = findHeadingColumns(lines, layout, scaleFactor);
+        if (columns !== null)
+            return { name: layout.name, method: "headings", columns: columns };
+    }
+
+    for (let layout of layouts) {
+        let columns = findColumns(lines, scaleFactor, layout.columns.length);
+        if (columns !== null)
+            return { name: layout.name, method: "gaps", columns: columns.map((column, index) => { return { x: column.x, field: layout.columns[index].field }; }) };
+    }
+
+    return null;
+}
+
+// Gets the cell of a row for the specified field (or an empty cell if the layout of the columns
+// does not include that field).
+
+function getCell(row, field) {
+    let cell = row.find(cell => cell.field === field);
+    return (cell === undefined) ? { field: field, y: null, texts: [], text: "", confidences: [], confidence: 100 } : cell;
+}
+
+// Merge an array of rows into a single row by choosing the cells in each column that have the
+// highest confidence.  Although for the received date and application number columns prefer
+// those with two slashes over those with other numbers of slashes (even if the application
+// number has lower confidence).
+
+function mergeRows(rows) {
+    let mergedRow = rows[0];
+    for (let columnIndex = 0; columnIndex < mergedRow.length; columnIndex++) {
+        if (SlashFields.includes(mergedRow[columnIndex].field)) {  // received date or application number
+            // The received date and application number are better if they contain two slashes.
+            // For example, "29/01/2017" and "060/331/2018".  The closer to two slashes the better
+            // (hence the use of the word "distance" in variable names below).
+
+            let mergedCellSlashDistance = Math.abs(2 - (mergedRow[columnIndex].text.split("/").length - 1));
+            for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
+                let cellSlashDistance = Math.abs(2 - (rows[rowIndex][columnIndex].text.split("/").length - 1));
+                if (cellSlashDistance <= mergedCellSlashDistance && rows[rowIndex][columnIndex].confidence > mergedRow[columnIndex].confidence) {
+                    mergedRow[columnIndex].text = rows[rowIndex][columnIndex].text;
+                    mergedRow[columnIndex].confidence = rows[rowIndex][columnIndex].confidence;
+                }
+            }
+        } else {
+            // For other columns such as description and address simply look at the confidence
+            // values.
+
+            for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
+                if (rows[rowIndex][columnIndex].confidence > mergedRow[columnIndex].confidence) {
+                    mergedRow[columnIndex].text = rows[rowIndex][columnIndex].text;
+                    mergedRow[columnIndex].confidence = rows[rowIndex][columnIndex].confidence;
+                }
+            }
+        }
+    }
+    return mergedRow;
+}
+
+// Parses a received date (such as "29/06/2018").  Returns a moment that is invalid if the date
+// could not be parsed.
+
+function parseReceivedDate(text) {
+    let receivedDate = moment(text, "D/MM/YYYY", true);
+    if (!receivedDate.isValid())
+        receivedDate = moment(text, "YYYY-MM-DDTHH:mm:ss", true);
+    return receivedDate;
+}
+
+// Determines whether two texts are similar (ignoring case, spaces and punctuation), allowing a
+// small number of characters to differ (in proportion to the length of the texts).
+
+function isSimilarText(text1, text2) {
+    let normalizedText1 = text1.toLowerCase().replace(/[^a-z0-9]/g, "");
+    let normalizedText2 = text2.toLowerCase().replace(/[^a-z0-9]/g, "");
+    let maximumDistance = Math.max(SimilarTextDistance, Math.floor(Math.max(normalizedText1.length, normalizedText2.length) * SimilarTextProportion));
+    return applicationNumbers.getEditDistance(normalizedText1, normalizedText2) <= maximumDistance;
+}
+
+// Scores how likely it is that the application number of a group of rows (see parseLines) was
+// read correctly: application numbers that can be parsed and whose year agrees with the received
+// date are preferred, then application numbers that were read more often and then application
+// numbers read with higher confidence.
+
+function scoreApplicationNumber(group) {
+    let applicationNumber = applicationNumbers.parseApplicationNumber(group.applicationNumber);
+    let receivedDate = parseReceivedDate(getCell(group.row, "receivedDate").text);
+    return [
+        (applicationNumber === null) ? 0 : 1,
+        (applicationNumber !== null && receivedDate.isValid() && receivedDate.year() === applicationNumber.year) ? 1 : 0,
+        group.readCount,
+        getCell(group.row, "applicationNumber").confidence
+    ];
+}
+
+// Merges groups of rows (see parseLines) whose application numbers differ by a single character
+// and whose addresses and descriptions are similar.  These are almost certainly the same
+// development application with one character misread by OCR.  Consecutive development
+// applications often have application numbers that differ by a single character and sometimes
+// share an address, so similar application numbers alone are not enough to merge groups.
+
+function mergeNearDuplicates(groups) {
+    let mergedGroups = [];
+    for (let group of groups) {
+        let mergedGroup = mergedGroups.find(mergedGroup =>
+            applicationNumbers.isNearApplicationNumber(mergedGroup.applicationNumber, group.applicationNumber) &&
+            isSimilarText(getCell(mergedGroup.row, "address").text, getCell(group.row, "address").text) &&
+            isSimilarText(getCell(mergedGroup.row, "description").text, getCell(group.row, "description").text));
+        if (mergedGroup === undefined) {
+            mergedGroups.push(group);
+            continue;
+        }
+
+        // Keep the application number that was most likely read correctly.
+
+        let score = scoreApplicationNumber(group);
+        let mergedScore = scoreApplicationNumber(mergedGroup);
+        let index = score.findIndex((value, index) => value !== mergedScore[index]);
+        let applicationNumber = (index >= 0 && score[index] > mergedScore[index]) ? group.applicationNumber : mergedGroup.applicationNumber;
+        console.log(`Merging the near duplicate application numbers ${mergedGroup.applicationNumber} and ${group.applicationNumber} as ${applicationNumber}.`);
+
+        mergedGroup.row = mergeRows([ mergedGroup.row, group.row ]);
+        mergedGroup.rows = mergedGroup.rows.concat(group.rows);
+        mergedGroup.readCount += group.readCount;
+        mergedGroup.applicationNumber = applicationNumber;
+    }
+    return mergedGroups;
+}
+
+// Analyses the lines of words (see parseLines), returning the chosen layout (or null), the result
+// of each line and each row (the cells and the reason for any rejection) and the resulting
+// development applications.
+
+function analyseLines(pdfUrl, lines, scaleFactor, origin, options) {
+    if (options.linesRecordingDirectory)
+        recordLines(pdfUrl, lines, scaleFactor, origin, options.linesRecordingDirectory);
+
+    // Choose the layout of the columns (for example, received date, application number,
+    // description, applicant and address) and determine where each column starts on each line.
+
+    if (options.statistics)
+        options.statistics.linesSeen += lines.length;
+
+    let lineResults = [];  // the cells of each line and why it was rejected (if it was), for the debug page
+    let rowResults = [];  // the cells of each row and why it was rejected (if it was), for the debug page
+    let layout = findLayout(lines, scaleFactor, options.layouts || DefaultLayouts);
+    if (layout === null) {
+        console.log("No application numbers were parsed from the document because the columns of none of the layouts were found.");
+        if (lines.length > 0)
+            statistics.recordRejection(options.statistics, RejectionReasons.NoLayout, pdfUrl, origin, null);
+        if (options.debugDirectory)
+            writeDebugPage(pdfUrl, lines, scaleFactor, origin, layout, lineResults, rowResults, options.debugDirectory);
+        return { layout: layout, lineResults: lineResults, rowResults: rowResults, developmentApplications: [] };
+    }
+
+    console.log(`Using the "${layout.name}" layout (the columns were determined from the ${layout.method}).`);
+    let columns = layout.columns;
+
+    let rows = [];
+    for (let line of lines) {
+        // Initialise the row object which will contain the results of parsing the line.
+
+        let row = columns.map(column => { return { field: column.field, y: null, texts: [], text: "", confidences: [], confidence: 0 }; });
+
+        // Group the words from the line into the columns.
+
+        let cell = null;
+        for (let word of line) {
+            // Determine if this word lines up with the start of a column.
+
+            let columnIndex = columns.findIndex(column => Math.abs(column.x - word.bounds.x) < ColumnAlignment * scaleFactor);
+            if (columnIndex >= 0) {
+                cell = row[columnIndex];
+                cell.y = word.bounds.y;
+            }
+
+            // Add the word to the currently determined column.
+
+            if (cell !== null) {
+                cell.texts.push(word.text);
+                cell.confidences.push(word.confidence);
+            }
+        }
+
+        // Aggregate the data gathered for each column.
+
+        for (let cell of row)
+            cell.confidence = cell.confidences.reduce((a, b) => a + b, 0) / Math.max(1, cell.confidences.length);  // average confidence
+
+        // Join together the words into text for each column of the row.
+
+        for (let cell of row)
+            cell.text = cell.texts.join(SlashFields.includes(cell.field) ? "" : " ").trim();  // the received date and application number do not contain spaces
+
+        // Ignore any rows where there is any cell with a confidence under 60% (this indicates that
+        // some text was extremely unreliable and was maybe horizontally cut in half).  Ignore any
+        // rows where there is not at least one slash in the received date or application number.
+
+        let lineRejectionReason = null;
+        if (row.find(cell => cell.confidence < 60) !== undefined)  // ensure that all cells are 60% or above in confidence
+            lineRejectionReason = RejectionReasons.LowCellConfidence;
+        else if (getCell(row, "receivedDate").text.indexOf("/") < 0 && getCell(row, "applicationNumber").text.indexOf("/") < 0)  // ensure that the characters are not just random in the received date and application number (due to being cut in half horizontally)
+            lineRejectionReason = RejectionReasons.NoSlash;
+
+        lineResults.push({ line: line, row: row, rejectionReason: lineRejectionReason });
+        if (lineRejectionReason !== null)
+            statistics.recordRejection(options.statistics, lineRejectionReason, pdfUrl, origin, row);
+        else
+            rows.push(row);
+    }
+
+    // Group the rows by Y co-ordinate (the same row typically appears multiple times because the
+    // image was examined vertically in overlapping steps).
+
+    let groups = [];
+    for (let row of rows) {
+        let group = groups.find(group => Math.abs(group.y - row[0].y) < LineAlignment * scaleFactor);
+        if (group === undefined) {
+            group = { y: row[0].y, rows: [] };
+            groups.push(group);
+        }
+        group.rows.push(row);
+    }
+
+    // Within each column (within a group) choose the cell with the highest confidence.  Then
+    // group together rows with the same application number (after correcting any characters that
+    // OCR commonly confuses with digits, such as "O" instead of "0"), counting the number of times
+    // that each application number was read.
+
+    let lineGroups = groups;
+    groups = [];
+    for (let lineGroup of lineGroups) {
+        let row = mergeRows(lineGroup.rows);
+        let applicationNumber = applicationNumbers.correctApplicationNumber(getCell(row, "applicationNumber").text);
+        let group = groups.find(group => group.applicationNumber === applicationNumber);
+        if (group === undefined) {
+            group = { applicationNumber: applicationNumber, rows: [], readCount: 0 };
+            groups.push(group);
+        }
+        group.rows.push(row);
+        group.readCount += lineGroup.rows.length;
+    }
+
+    // Within each column (within a group) choose the cell with the highest confidence.  Then
+    // merge any groups that are near duplicates of each other.
+
+    for (let group of groups)
+        group.row = mergeRows(group.rows);
+    groups = mergeNearDuplicates(groups);
+    if (options.statistics)
+        options.statistics.rowsSeen += groups.length;
+
+    // Convert all of the rows to development applications.
+
+    let developmentApplications = [];
+    for (let group of groups) {
+        let row = group.row;
+        let receivedDateCell = getCell(row, "receivedDate");
+        let applicationNumberCell = getCell(row, "applicationNumber");
+        let descriptionCell = getCell(row, "description");
+        let addressCell = getCell(row, "address");
+
+        // Re-format the address (making minor corrections where possible).  Note that either
+        // the address or applicant column may contain the address (the column heading cannot
+        // be relied upon, because sometimes the heading of the column containing addresses is
+        // incorrectly "From (Applicant)" instead of "Address").
+
+        let formattedAddress = formatAddress(addressCell.text, options);
+        let formattedAddressCell = addressCell;
+        let applicantCell = row.find(cell => cell.field === "applicant");
+        if (!(formattedAddress.hasStreet && formattedAddress.hasRecognizedSuburb) && applicantCell !== undefined) {
+            let formattedApplicantAddress = formatAddress(applicantCell.text, options);
+            if (formattedApplicantAddress.hasStreet && formattedApplicantAddress.hasRecognizedSuburb) {
+                formattedAddress = formattedApplicantAddress;
+                formattedAddressCell = applicantCell;
+            }
+        }
+
+        // Parse the received date so that it can be reformatted.
+
+        let receivedDate = parseReceivedDate(receivedDateCell.text);
+
+        // Split the application number into its components and check that the year of the
+        // application number agrees with the received date.
+
+        let applicationNumber = applicationNumbers.parseApplicationNumber(group.applicationNumber);
+        let warnings = formattedAddress.warnings.concat(applicationNumbers.checkApplicationNumber(group.applicationNumber, receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : ""));
+
+        // Ensure that the development application number is not blank and has a reasonably high
+        // confidence (at least 70%).  Ensure that the address text has reasonably high confidence
+        // (at least 75%).  Ensure that the formatted address has a street name (possibly not
+        // recognised) and has a recognised suburb name.  And ensure that a Y co-ordinate has been
+        // determined.
+
+        let rejectionReason = null;
+        if (group.applicationNumber === "")
+            rejectionReason = RejectionReasons.BlankApplicationNumber;
+        else if (applicationNumberCell.confidence < 70)
+            rejectionReason = RejectionReasons.LowApplicationNumberConfidence;
+        else if (addressCell.confidence < 75)
+            rejectionReason = RejectionReasons.LowAddressConfidence;
+        else if (!formattedAddress.hasStreet)
+            rejectionReason = RejectionReasons.NoStreet;
+        else if (!formattedAddress.hasRecognizedSuburb)
+            rejectionReason = RejectionReasons.UnrecognisedSuburb;
+        else if (row[0].y === null)
+            rejectionReason = RejectionReasons.NoPosition;
+
+        rowResults.push({ applicationNumber: group.applicationNumber, row: row, rejectionReason: rejectionReason });
+        if (rejectionReason !== null)
+            statistics.recordRejection(options.statistics, rejectionReason, pdfUrl, origin, row);
+        else {
+            let developmentApplication = {
+                applicationNumber: group.applicationNumber,
+                applicationNumberComponents: (applicationNumber === null) ? null : { councilCode: applicationNumber.councilCode, sequenceNumber: applicationNumber.sequenceNumber, year: applicationNumber.year },
+                address: formattedAddress.text,
+                addressComponents: formattedAddress.components,
+                description: formatDescription(descriptionCell.text, options),
+                informationUrl: pdfUrl,
+                pageNumber: origin.pageNumber,
+                commentUrl: options.commentUrl,
+                scrapeDate: moment().format("YYYY-MM-DD"),
+                receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : "",
+                layout: layout.name,
+                addressWarnings: formattedAddress.warnings,  // any inconsistencies in the address (see gazetteer.js)
+                warnings: warnings
+            };
+            for (let warning of warnings)
+                console.log(`Warning for ${developmentApplication.applicationNumber}: ${warning}`);
+            developmentApplication.developmentTypes = classifier.classifyDescription(developmentApplication.description);
+
+            // Record where each field came from (along with the text before any corrections were
+            // made and the confidence of that text).
+
+            developmentApplication.provenance = [
+                { field: "council_reference", cell: applicationNumberCell, text: developmentApplication.applicationNumber },
+                { field: "address", cell: formattedAddressCell, text: developmentApplication.address },
+                { field: "description", cell: descriptionCell, text: developmentApplication.description },
+                { field: "date_received", cell: receivedDateCell, text: developmentApplication.receivedDate }
+            ].map(field => { return { field: field.field, pageNumber: origin.pageNumber, imageNumber: origin.imageNumber, source: origin.source, rawText: field.cell.text, text: field.text, confidence: field.cell.confidence, y: field.cell.y }; });
+
+            developmentApplications.push(developmentApplication);
+        }
+    }
+
+    if (options.statistics)
+        options.statistics.rowsAccepted += developmentApplications.length;
+    if (options.debugDirectory)
+        writeDebugPage(pdfUrl, lines, scaleFactor, origin, layout, lineResults, rowResults, options.debugDirectory);
+    return { layout: layout, lineResults: lineResults, rowResults: rowResults, developmentApplications: developmentApplications };
+}
+
+// Parses the lines of words.  Each word in a line consists of a bounding box, the text that
+// exists in that bounding box and the confidence information determined by tesseract.js.  The
+// logic here also performs partitioning of the text into columns (for example, the description
+// and address columns).  The origin indicates the page and image (if any) from which the lines
+// were obtained and whether the lines were obtained from the text layer or by OCR; this is
+// recorded as the provenance of each field of each development application.
+
+function parseLines(pdfUrl, lines, scaleFactor, origin, options) {
+    return analyseLines(pdfUrl, lines, scaleFactor, origin, options).developmentApplications;
+}
+
+// Gets the name of the file in which the lines of words from a page or image are recorded (for
+// example, "DA_Register_July_2018-page3-image2.json").
+
+function getRecordingFileName(pdfUrl, origin, extension) {
+    return `${path.basename(urlparser.parse(pdfUrl).pathname || "document", ".pdf")}-page${origin.pageNumber}-${(origin.imageNumber === null) ? "text" : ("image" + origin.imageNumber)}${extension}`;
+}
+
+// Records the lines of words passed to parseLines in a JSON file (so that the lines can later be
+// used as a test fixture; see the test directory).  The directory is created if necessary.
+
+function recordLines(pdfUrl, lines, scaleFactor, origin, directory) {
+    let fileName = getRecordingFileName(pdfUrl, origin, ".json");
+    console.log(`Recording lines to: ${path.join(directory, fileName)}`);
+    fs.mkdirSync(directory, { recursive: true });  // the directory may not exist yet
+    fs.writeFileSync(path.join(directory, fileName), JSON.stringify({ pdfUrl: pdfUrl, scaleFactor: scaleFactor, origin: origin, lines: lines }, null, 4));
+}
+
+// Writes an annotated HTML page showing how parseLines interpreted the lines of words (see
+// debug.js).
+
+function writeDebugPage(pdfUrl, lines, scaleFactor, origin, layout, lineResults, rowResults, directory) {
+    debug.writeDebugPage(directory, getRecordingFileName(pdfUrl, origin, ".html"), {
+        pdfUrl: pdfUrl,
+        origin: origin,
+        lines: lines,
+        scaleFactor: scaleFactor,
+        layout: layout,
+        columnAlignment: ColumnAlignment * scaleFactor,
+        lineAlignment: LineAlignment * scaleFactor,
+        isBaseline: origin.source === Source.Text,
+        lineResults: lineResults,
+        rowResults: rowResults
+    });
+}
+
+// Recognises the lines of words in an image from a PDF file.  The image is converted and cleaned
+// once and then examined in overlapping sections, using the OCR pool in options.ocrPool (see
+// ocr.js) or otherwise a temporary OCR pool.
+
+async function recognizeImage(image, scaleFactor, options) {
+    let ocrPool = options.ocrPool || ocr.createOcrPool(options);
+
+    // Convert the image data into a format that can be used by jimp and clean the image (by
+    // default this only removes any horizontal black lines).
+
+    let bitmap = imaging.preprocessImage(imaging.convertImage(image), options.preprocessing);
+
+    // The image is examined in overlapping sections to reduce the memory usage (there is currently
+    // a hard limit of 512 MB when running in morph.io).  Each OCR worker repeatedly takes the next
+    // section, so that at most one upscaled section per worker is held in memory at a time.
+
+    let sectionYs = [];
+    for (let sectionY = 0; sectionY < bitmap.height; sectionY += SectionStep)
+        sectionYs.push(sectionY);
+
+    let sectionLines = new Array(sectionYs.length);
+    let nextIndex = 0;
+
+    let recognizeSections = async () => {
+        while (nextIndex < sectionYs.length) {
+            let index = nextIndex++;
+            let sectionY = sectionYs[index];
+            let imageBuffer = await imaging.createSection(bitmap, sectionY, Math.min(bitmap.height - sectionY, SectionHeight), scaleFactor);
+
+            // Perform OCR on the section of the image (this is extremely memory and CPU intensive).
+
+            let result = await ocrPool.recognize(imageBuffer);
+
+            // Simplify the lines (remove most of the information generated by tesseract.js).
+
+            sectionLines[index] = [];
+            if (result.blocks && result.blocks.length)
+                for (let block of result.blocks)
+                    for (let paragraph of block.paragraphs)
+                        for (let line of paragraph.lines)
+                            sectionLines[index].push(line.words.map(word => { return { text: word.text, confidence: word.confidence, choices: word.choices.length, bounds: { x: word.bbox.x0, y: sectionY * scaleFactor + word.bbox.y0, width: word.bbox.x1 - word.bbox.x0, height: word.bbox.y1 - word.bbox.y0 } }; }));
+        }
+    };
+
+    try {
+        let recognitions = [];
+        for (let index = 0; index < ocrPool.workerCount; index++)
+            recognitions.push(recognizeSections());
+        await Promise.all(recognitions);
+    } finally {
+        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the current
+        // process being terminated by morph.io).
+
+        if (options.ocrPool === undefined)
+            ocrPool.terminate();
+        bitmap = null;
+        if (global.gc)
+            global.gc();
+    }
+
+    // Return the lines of words in the order of the sections.
+
+    return [].concat(...sectionLines);
+}
+
+// Parses an image from a PDF file.  When options.ocrCacheDirectory is specified the lines of
+// words recognised in the image are cached (see cache.js), so that OCR is not repeated when the
+// same image is parsed again.
+
+async function parseImage(pdfUrl, image, pageNumber, imageNumber, options) {
+    let scaleFactor = options.scaleFactor || DefaultScaleFactor;
+    let origin = { pageNumber: pageNumber, imageNumber: imageNumber, source: Source.Ocr };
+
+    let lines = null;
+    let cacheKey = null;
+    if (options.ocrCacheDirectory) {
+        // The pre-processing steps are only included in the settings when they are not the
+        // default steps (so that the cache entries created before the steps could be changed
+        // remain valid).
+
+        let settings = { scaleFactor: scaleFactor, sectionHeight: SectionHeight, sectionStep: SectionStep };
+        let preprocessingSteps = imaging.getPreprocessingSteps(options.preprocessing);
+        if (!imaging.isDefaultPreprocessing(preprocessingSteps))
+            settings.preprocessing = preprocessingSteps;
+        cacheKey = cache.getCacheKey(image, settings);
+        lines = cache.readCachedLines(options.ocrCacheDirectory, cacheKey);
+        if (lines !== null)
+            console.log(`Using cached OCR results for image ${imageNumber} on page ${pageNumber}.`);
+    }
+
+    if (lines === null) {
+        lines = await recognizeImage(image, scaleFactor, options);
+        if (cacheKey !== null)
+            cache.writeCachedLines(options.ocrCacheDirectory, cacheKey, pdfUrl, origin, lines);
+    }
+
+    // Analyse the lines of words to extract development application details.  Each word in a line
+    // includes a confidence percentage and a bounding box.
+
+    return parseLines(pdfUrl, lines, scaleFactor, origin, options);
+}
+
+// Reads the text layer of a page of a PDF file as lines of words (each with a confidence of 100),
+// returning the lines, the height of the page and the number of non-blank text items.
+
+async function readTextLines(page) {
+    let textContent = await page.getTextContent();
+    let viewport = await page.getViewport(1.0);
+
+    let elements = textContent.items.map(item => {
+        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        return { text: item.str, confidence: 100, choices: 1, bounds: { x: transform[4], y: transform[5], width: item.width, height: workaroundHeight } };
+    });
+
+    // Sort the elements by Y co-ordinate and then by X co-ordinate.
+
+    let elementComparer = (a, b) => (a.bounds.y > b.bounds.y) ? 1 : ((a.bounds.y < b.bounds.y) ? -1 : ((a.bounds.x > b.bounds.x) ? 1 : ((a.bounds.x < b.bounds.x) ? -1 : 0)));
+    elements.sort(elementComparer);
+
+    // Group the elements by line.
+
+    let averageElementHeight = elements.reduce((total, element) => total + element.bounds.height, 0) / Math.max(1, elements.length);
+    
+    let lines = [];
+    let line = [];
+    let y = Number.MIN_VALUE;
+    
+    for (let element of elements) {
+        if (element.bounds.y > y + averageElementHeight / 2) {
+            line = [element];
+            lines.push(line);
+            y = element.bounds.y;
+        } else {
+            line.push(element);
+        }
+    }
+
+    return { lines: lines, height: viewport.height, textItemCount: textContent.items.filter(item => item.str.trim() !== "").length };
+}
+
+// Parses the text from a PDF file.
+
+async function parseText(page, pdfUrl, pageNumber, options) {
+    let textLines = await readTextLines(page);
+
+    // Analyse the lines of words to extract development application details.
+
+    return parseLines(pdfUrl, textLines.lines, 1, { pageNumber: pageNumber, imageNumber: null, source: Source.Text }, options);
+}
+
+// Records the layouts of the columns from which the development applications were parsed (if
+// the sink supports recording layouts).
+
+async function recordLayouts(sink, pdfUrl, developmentApplications) {
+    if (sink.recordLayout === undefined)
+        return;
+    let layoutNames = [];
+    for (let developmentApplication of developmentApplications)
+        if (!layoutNames.includes(developmentApplication.layout))
+            layoutNames.push(developmentApplication.layout);
+    for (let layoutName of layoutNames)
+        await sink.recordLayout(pdfUrl, layoutName);
+}
+
+// Applies any manual corrections (in options.corrections) to a development application, returning
+// a corrected copy of the development application.  The provenance of each corrected field records
+// the scraped value as its raw text (so that a correction which no longer differs from the scraped
+// value can be found; see findStaleCorrections).  A corrected address or description is used to
+// derive the address components or development types in the same way as a scraped one.
+
+function applyCorrections(developmentApplication, options) {
+    let fields = (options.corrections || {})[developmentApplication.applicationNumber];
+    if (fields === undefined)
+        return developmentApplication;
+
+    let correctedApplication = Object.assign({}, developmentApplication, { provenance: (developmentApplication.provenance || []).slice() });
+    for (let field of corrections.CorrectableFields) {
+        let value = fields[field.name];
+        if (value === undefined || value === developmentApplication[field.name])
+            continue;
+
+        console.log(`Applying the manual correction of the ${field.name} of ${developmentApplication.applicationNumber}: "${developmentApplication[field.name]}" is corrected to "${value}".`);
+        correctedApplication[field.name] = value;
+        if (field.name === "address")
+            correctedApplication.addressComponents = formatAddress(value, options).components;
+        else if (field.name === "description")
+            correctedApplication.developmentTypes = classifier.classifyDescription(value);
+
+        let index = correctedApplication.provenance.findIndex(provenance => provenance.field === field.column);
+        let scrapedProvenance = (index >= 0) ? correctedApplication.provenance[index] : { pageNumber: developmentApplication.pageNumber, imageNumber: null, y: null };
+        let provenance = { field: field.column, pageNumber: scrapedProvenance.pageNumber, imageNumber: scrapedProvenance.imageNumber, source: Source.Manual, rawText: developmentApplication[field.name], text: value, confidence: 100, y: scrapedProvenance.y };
+        if (index >= 0)
+            correctedApplication.provenance[index] = provenance;
+        else
+            correctedApplication.provenance.push(provenance);
+    }
+    return correctedApplication;
+}
+
+// Records the number of pages and the title of a PDF file (if the sink supports recording the
+// metadata of documents).
+
+async function recordDocument(sink, pdfUrl, pdf) {
+    if (sink.recordDocument === undefined)
+        return;
+    let metadata = await pdf.getMetadata().catch(() => null);  // the metadata is optional
+    await sink.recordDocument(pdfUrl, pdf.numPages, (metadata && metadata.info && metadata.info.Title) || null);
+}
+
+// Determines whether the text layer of a page yields a complete table: a layout was found, at
+// least one development application was parsed and no row was rejected.  The images on such a
+// page (typically a scan under an OCR text layer) need not be parsed.
+
+function isCompleteTable(result) {
+    return result.layout !== null && result.developmentApplications.length > 0 && result.rowResults.every(rowResult => rowResult.rejectionReason === null);
+}
+
+// Parses a single PDF file, starting at the specified page, and inserts the resulting development
+// applications into the sink (see sinks.js).  On each page the development applications parsed
+// from the text layer are reconciled with those parsed from the images (see reconciliation.js);
+// the images are not parsed at all if the text layer yields a complete table.  The optional
+// onPageParsed callback is invoked after each page has been parsed; parsing stops early if the
+// callback returns false.  Returns true if all remaining pages of the PDF file were parsed.
+
+async function parsePdf(sink, pdfUrl, pdf, options, firstPageNumber, onPageParsed) {
+    // The same OCR pool is used for all images in the PDF, avoiding the cost of starting the OCR
+    // workers for every image (unless the caller supplies an OCR pool in options.ocrPool).
+
+    let ocrPool = null;
+    let imageOptions = options;
+    let imageCount = 0;
+    if (options.statistics)
+        options.statistics.documents++;
+    await recordDocument(sink, pdfUrl, pdf);
+
+    try {
+        for (let pageNumber = firstPageNumber || 1; pageNumber <= pdf.numPages; pageNumber++) {
+            console.log(`Examining text on page ${pageNumber} of ${pdf.numPages} in the PDF.`);
+            let page = await pdf.getPage(pageNumber);
+            if (options.statistics)
+                options.statistics.pages++;
+
+            // Find and parse any text in the PDF.
+
+            let textLines = await readTextLines(page);
+            let textResult = analyseLines(pdfUrl, textLines.lines, 1, { pageNumber: pageNumber, imageNumber: null, source: Source.Text }, options);
+            let textCandidates = textResult.developmentApplications.map(developmentApplication => { return { developmentApplication: developmentApplication, relativeY: reconciliation.getRelativeY(developmentApplication, textLines.height) }; });
+            let isTextComplete = isCompleteTable(textResult);
+
+            // Find and parse any images in the PDF (unless the text layer already yields a
+            // complete table).
+
+            console.log(`Examining images on page ${pageNumber} of ${pdf.numPages} in the PDF.`);
+
+            let operators = await page.getOperatorList();
+            let pageImageCount = 0;
+            let ocrCandidates = [];
+            for (let index = 0; index < operators.fnArray.length; index++) {
+                if (operators.fnArray[index] === pdfjs.OPS.paintImageXObject) {
+                    imageCount++;
+                    pageImageCount++;
+                    if (isTextComplete) {
+                        console.log(`Skipping image ${imageCount} because the text layer of the page yields a complete table.`);
+                        continue;
+                    }
+
+                    if (imageOptions.ocrPool === undefined) {
+                        ocrPool = ocr.createOcrPool(options);
+                        console.log(`Using ${ocrPool.workerCount} OCR worker(s).`);
+                        imageOptions = Object.assign({}, options, { ocrPool: ocrPool });
+                    }
+
+                    // Parse an image in the PDF.
+
+                    let operator = operators.argsArray[index][0];
+                    let image = page.objs.get(operator);
+                    if (options.statistics)
+                        options.statistics.images++;
+                    console.log(`Examining image ${imageCount} having dimensions ${image.width} by ${image.height}.`);
+                    let imageHeight = image.height * (options.scaleFactor || DefaultScaleFactor);
+                    for (let developmentApplication of await parseImage(pdfUrl, image, pageNumber, imageCount, imageOptions))
+                        ocrCandidates.push({ developmentApplication: developmentApplication, relativeY: reconciliation.getRelativeY(developmentApplication, imageHeight) });
+                }
+            }
+
+            // Reconcile the development applications from the text and the images and insert the
+            // resulting development applications into the sink (after applying any manual
+            // corrections).
+
+            let developmentApplications = reconciliation.reconcileApplications(textCandidates, ocrCandidates);
+            await recordLayouts(sink, pdfUrl, developmentApplications);
+            for (let developmentApplication of developmentApplications)
+                await sink.insert(applyCorrections(developmentApplication, options));
+
+            // Record whether the page contains text or is scanned (if the sink supports recording
+            // the pages of documents).
+
+            if (sink.recordPage !== undefined)
+                await sink.recordPage(pdfUrl, pageNumber, textLines.textItemCount, pageImageCount);
+
+            // Record progress (and stop if the budget for the current run has been used up).
+
+            if (onPageParsed !== undefined && !(await onPageParsed(pageNumber)) && pageNumber < pdf.numPages)
+                return false;
+        }
+
+        return true;
+    } finally {
+        if (ocrPool !== null)
+            ocrPool.terminate();
+    }
+}
+
+module.exports = {
+    Source: Source,
+    DefaultScaleFactor: DefaultScaleFactor,
+    DefaultLayouts: DefaultLayouts,
+    readLayouts: readLayouts,
+    readCorrectionData: readCorrectionData,
+    formatDescription: formatDescription,
+    formatAddress: formatAddress,
+    findColumns: findColumns,
+    findLayout: findLayout,
+    mergeRows: mergeRows,
+    parseLines: parseLines,
+    applyCorrections: applyCorrections,
+    parseImage: parseImage,
+    parseText: parseText,
+    parsePdf: parsePdf
+};
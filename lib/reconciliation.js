@@ -0,0 +1,124 @@
+// Reconciles the development applications parsed from the text layer of a page (see parseText)
+// with those parsed by OCR of the images on the same page (see parseImage).  A page may contain
+// both, for example a scanned register with an OCR text layer added by the scanner.  Rather than
+// the last parsed result overwriting the other, each development application from the text layer
+// is matched with the corresponding development application from OCR (by application number, or
+// by a nearly identical application number at the same position on the page).  The text layer
+// always wins: each field is taken from the text layer unless it is blank there, in which case it
+// is taken from OCR.  (Words from the text layer have no real confidence, they are all given a
+// confidence of 100 by readTextLines in parser.js, so comparing the confidences of the two
+// sources would amount to the same rule.)
+
+"use strict";
+
+let applicationNumbers = require("./applicationnumber.js");
+
+const PositionTolerance = 0.02;  // development applications within this proportion of the page height are considered to be at the same position
+
+// The properties of a development application that are taken from the same source as each field
+// recorded in the provenance.
+
+const FieldProperties = {
+    council_reference: [ "applicationNumber", "applicationNumberComponents" ],
+    address: [ "address", "addressComponents", "addressWarnings" ],
+    description: [ "description", "developmentTypes" ],
+    date_received: [ "receivedDate" ]
+};
+
+// Gets the provenance of a field of a development application (or undefined).
+
+function getProvenance(developmentApplication, field) {
+    return (developmentApplication.provenance || []).find(provenance => provenance.field === field);
+}
+
+// Gets the position of a development application as a proportion of the height of the page or
+// image from which it was parsed (or null if the position is not known).  The height is in the
+// same co-ordinates as the lines of words (so for an image it includes the scale factor).
+
+function getRelativeY(developmentApplication, height) {
+    let provenance = getProvenance(developmentApplication, "council_reference");
+    return (provenance === undefined || provenance.y === null || !height) ? null : provenance.y / height;
+}
+
+// Finds the candidate (a development application and its relative position) that matches the
+// specified candidate: one with the same application number or otherwise one with an application
+// number that differs by a single character at the same position on the page.
+
+function findMatch(candidate, otherCandidates) {
+    let applicationNumber = candidate.developmentApplication.applicationNumber;
+    let match = otherCandidates.find(otherCandidate => otherCandidate.developmentApplication.applicationNumber === applicationNumber);
+    if (match !== undefined || candidate.relativeY === null)
+        return match;
+    return otherCandidates.find(otherCandidate =>
+        otherCandidate.relativeY !== null &&
+        Math.abs(otherCandidate.relativeY - candidate.relativeY) <= PositionTolerance &&
+        applicationNumbers.isNearApplicationNumber(otherCandidate.developmentApplication.applicationNumber, applicationNumber));
+}
+
+// Determines whether a field of a development application is blank (not read at all, or read from
+// an empty cell) according to its provenance.
+
+function isBlank(provenance) {
+    return provenance === undefined || provenance.text.trim() === "";
+}
+
+// Merges a development application from the text layer with the matching development application
+// from OCR, taking each field from the text layer unless it is blank there (and not blank in the
+// OCR).  The warnings are then recomputed from the merged fields (so that, for example, a received
+// date taken from OCR is checked against the application number from the text layer) and the
+// layout is that of the source from which most of the fields were taken.
+
+function mergeApplications(textApplication, ocrApplication) {
+    let mergedApplication = Object.assign({}, textApplication, { provenance: [] });
+    let ocrFields = [];
+    for (let field of Object.keys(FieldProperties)) {
+        let textProvenance = getProvenance(textApplication, field);
+        let ocrProvenance = getProvenance(ocrApplication, field);
+        let isOcr = isBlank(textProvenance) && !isBlank(ocrProvenance);
+        let source = isOcr ? ocrApplication : textApplication;
+        for (let property of FieldProperties[field])
+            mergedApplication[property] = source[property];
+        if (isOcr)
+            ocrFields.push(field);
+
+        let provenance = isOcr ? ocrProvenance : textProvenance;
+        if (provenance !== undefined)
+            mergedApplication.provenance.push(provenance);
+    }
+
+    if (ocrFields.length === 0)
+        return mergedApplication;
+
+    mergedApplication.warnings = (mergedApplication.addressWarnings || []).concat(applicationNumbers.checkApplicationNumber(mergedApplication.applicationNumber, mergedApplication.receivedDate));
+    mergedApplication.layout = (ocrFields.length * 2 > Object.keys(FieldProperties).length) ? ocrApplication.layout : textApplication.layout;
+    console.log(`Reconciled ${textApplication.applicationNumber} from the text layer with ${ocrApplication.applicationNumber} from OCR (taking the ${ocrFields.join(", ")} from OCR).`);
+    for (let warning of mergedApplication.warnings)
+        console.log(`Warning for ${mergedApplication.applicationNumber}: ${warning}`);
+    return mergedApplication;
+}
+
+// Reconciles the development applications parsed from the text layer of a page with those parsed
+// by OCR of the images on the page.  Each candidate is a development application along with its
+// relative position on the page (see getRelativeY).  Returns the development applications from
+// the text layer (merged with any matching development applications from OCR) followed by those
+// that were only found by OCR.
+
+function reconcileApplications(textCandidates, ocrCandidates) {
+    let remainingOcrCandidates = ocrCandidates.slice();
+    let developmentApplications = [];
+    for (let textCandidate of textCandidates) {
+        let ocrCandidate = findMatch(textCandidate, remainingOcrCandidates);
+        if (ocrCandidate === undefined)
+            developmentApplications.push(textCandidate.developmentApplication);
+        else {
+            remainingOcrCandidates.splice(remainingOcrCandidates.indexOf(ocrCandidate), 1);
+            developmentApplications.push(mergeApplications(textCandidate.developmentApplication, ocrCandidate.developmentApplication));
+        }
+    }
+    return developmentApplications.concat(remainingOcrCandidates.map(ocrCandidate => ocrCandidate.developmentApplication));
+}
+
+module.exports = {
+    getRelativeY: getRelativeY,
+    reconcileApplications: reconcileApplications
+};
@@ -0,0 +1,141 @@
+// A small HTTP server for querying the development applications in the data table (see
+// queryApplications), so that dashboards and other tools can query the development applications
+// without a copy of the sqlite database.  The server responds to requests such as:
+//
+//     GET /applications?suburb=PROSPECT&street=Main North Road&q=dwelling&page=2
+//     GET /applications.csv?receivedFrom=2018-07-01&receivedTo=2018-07-31
+//
+// with the following (optional) query parameters:
+//
+//     suburb             the suburb (ignoring case)
+//     street             the street name, with or without the street type (ignoring case)
+//     receivedFrom       the earliest received date (YYYY-MM-DD)
+//     receivedTo         the latest received date (YYYY-MM-DD)
+//     applicationNumber  the application number (for example, "060/331/2018")
+//     q                  words that must all appear in the description (each word also matches
+//                        longer words that start with that word)
+//     page               the page of results (starting at 1)
+//     pageSize           the number of results in each page (at most 500)
+//     format             "json" (the default) or "csv" (the same as using /applications.csv)
+
+"use strict";
+
+let http = require("http");
+let urlparser = require("url");
+let database = require("./database.js");
+
+const DefaultPageSize = 50;
+const MaximumPageSize = 500;
+const DatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Converts rows to CSV text (with a header line containing the column names).
+
+function toCsv(rows, columns) {
+    let quote = value => {
+        let text = (value === null || value === undefined) ? "" : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    };
+    return [ columns.map(quote).join(",") ].concat(rows.map(row => columns.map(column => quote(row[column])).join(","))).join("\r\n") + "\r\n";
+}
+
+// Converts the q query parameter to a full text search expression: each word (letters and digits
+// only, so that the search syntax cannot be misused) matches any word starting with that word.
+
+function toSearchExpression(text) {
+    let words = text.match(/[A-Za-z0-9]+/g) || [];
+    return (words.length === 0) ? undefined : words.map(word => word + "*").join(" ");
+}
+
+// Parses and validates the query parameters of a request.  Throws an error (with a message that
+// is returned to the client) if a query parameter is invalid.
+
+function parseQuery(query) {
+    let text = name => (typeof query[name] === "string" && query[name].trim() !== "") ? query[name].trim() : undefined;
+    let parameters = {
+        filters: {
+            suburb: text("suburb"),
+            street: text("street"),
+            receivedFrom: text("receivedFrom"),
+            receivedTo: text("receivedTo"),
+            applicationNumber: text("applicationNumber"),
+            search: (text("q") === undefined) ? undefined : toSearchExpression(text("q"))
+        },
+        page: (text("page") === undefined) ? 1 : Number(text("page")),
+        pageSize: (text("pageSize") === undefined) ? DefaultPageSize : Number(text("pageSize")),
+        format: (text("format") || "json").toLowerCase()
+    };
+
+    for (let name of [ "receivedFrom", "receivedTo" ])
+        if (parameters.filters[name] !== undefined && !DatePattern.test(parameters.filters[name]))
+            throw new Error(`The ${name} parameter must be a date in the form YYYY-MM-DD.`);
+    if (!Number.isInteger(parameters.page) || parameters.page < 1)
+        throw new Error("The page parameter must be a positive integer.");
+    if (!Number.isInteger(parameters.pageSize) || parameters.pageSize < 1 || parameters.pageSize > MaximumPageSize)
+        throw new Error(`The pageSize parameter must be an integer from 1 to ${MaximumPageSize}.`);
+    if (parameters.format !== "json" && parameters.format !== "csv")
+        throw new Error("The format parameter must be \"json\" or \"csv\".");
+    if (text("q") !== undefined && parameters.filters.search === undefined)
+        throw new Error("The q parameter must contain at least one word.");
+
+    return parameters;
+}
+
+// Sends a JSON response.
+
+function sendJson(response, statusCode, value) {
+    response.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+    response.end(JSON.stringify(value, null, 4) + "\n");
+}
+
+// Handles a request (see the description at the top of this file).
+
+async function handleRequest(sqliteDatabase, request, response) {
+    let url = urlparser.parse(request.url, true);
+    if (url.pathname !== "/applications" && url.pathname !== "/applications.json" && url.pathname !== "/applications.csv") {
+        sendJson(response, 404, { error: "Not found (use /applications, /applications.json or /applications.csv)." });
+        return;
+    }
+    if (request.method !== "GET" && request.method !== "HEAD") {
+        response.setHeader("Allow", "GET, HEAD");
+        sendJson(response, 405, { error: "Only GET requests are supported." });
+        return;
+    }
+
+    let parameters;
+    try {
+        parameters = parseQuery(url.query);
+    } catch (error) {
+        sendJson(response, 400, { error: error.message });
+        return;
+    }
+
+    if (url.pathname !== "/applications")
+        parameters.format = url.pathname.substring(url.pathname.lastIndexOf(".") + 1);
+
+    let result = await database.queryApplications(sqliteDatabase, parameters.filters, parameters.page, parameters.pageSize);
+    if (parameters.format === "csv") {
+        let columns = (result.rows.length > 0) ? Object.keys(result.rows[0]) : [ "council_reference", "address", "description", "info_url", "comment_url", "date_scraped", "date_received" ];
+        response.writeHead(200, { "Content-Type": "text/csv; charset=utf-8", "X-Total-Count": String(result.total) });
+        response.end(toCsv(result.rows, columns));
+    } else
+        sendJson(response, 200, { total: result.total, page: parameters.page, pageSize: parameters.pageSize, applications: result.rows });
+}
+
+// Creates an HTTP server that queries the data table of the specified sqlite database (see
+// initializeDatabase).  Call listen on the returned server to start accepting requests.
+
+function createServer(sqliteDatabase) {
+    return http.createServer((request, response) => {
+        handleRequest(sqliteDatabase, request, response).catch(error => {
+            console.error(error);
+            if (!response.headersSent)
+                sendJson(response, 500, { error: "The development applications could not be queried." });
+            else
+                response.end();
+        });
+    });
+}
+
+module.exports = {
+    createServer: createServer
+};
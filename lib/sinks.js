@@ -0,0 +1,67 @@
+// Sinks receive the development applications produced when parsing PDF files.  A sink is any
+// object with the following function:
+//
+//     insert(developmentApplication)  stores a development application (returning a promise)
+//
+// and optionally the following functions:
+//
+//     recordLayout(pdfUrl, layoutName)  records the layout of the columns (see layouts.json)
+//                                       from which development applications were parsed
+//     recordDocument(pdfUrl, pageCount, pdfTitle)  records the metadata of a PDF file
+//     recordPage(pdfUrl, pageNumber, textItemCount, imageCount)  records whether a page contains
+//                                                                text or is scanned
+//
+// This allows callers to write development applications to the sqlite database or instead
+// collect them in memory.
+
+"use strict";
+
+let insertRow = require("./database.js").insertRow;
+let updateDocumentLayout = require("./database.js").updateDocumentLayout;
+let updateDocumentMetadata = require("./database.js").updateDocumentMetadata;
+let updateDocumentPage = require("./database.js").updateDocumentPage;
+let isAlertedDocument = require("./database.js").isAlertedDocument;
+let alerts = require("./alerts.js");
+
+// Creates a sink that writes development applications to the specified sqlite database (see
+// initializeDatabase).  An alert is queued for each new development application that matches a
+// saved watch (see alerts.js), but only if its document was found after the initial backfill of
+// the development register (see isAlertedDocument; so neither the backfill nor local PDF files
+// are alerted).  The queued alerts are sent once parsing is complete (see sendPendingAlerts).
+
+function createDatabaseSink(database) {
+    return {
+        insert: async developmentApplication => {
+            let isNew = await insertRow(database, developmentApplication);
+            if (isNew && await isAlertedDocument(database, developmentApplication.informationUrl))
+                await alerts.queueAlerts(database, developmentApplication);
+        },
+        recordLayout: (pdfUrl, layoutName) => updateDocumentLayout(database, pdfUrl, layoutName),
+        recordDocument: (pdfUrl, pageCount, pdfTitle) => updateDocumentMetadata(database, pdfUrl, pageCount, pdfTitle),
+        recordPage: (pdfUrl, pageNumber, textItemCount, imageCount) => updateDocumentPage(database, pdfUrl, pageNumber, textItemCount, imageCount)
+    };
+}
+
+// Creates a sink that collects development applications in memory (in the developmentApplications
+// array of the sink).  A development application with the same application number as one that
+// was previously collected replaces that previous development application (in the same way that
+// insertRow replaces rows in the database).
+
+function createMemorySink() {
+    let sink = {
+        developmentApplications: [],
+        insert: async developmentApplication => {
+            let index = sink.developmentApplications.findIndex(existing => existing.applicationNumber === developmentApplication.applicationNumber);
+            if (index >= 0)
+                sink.developmentApplications[index] = developmentApplication;
+            else
+                sink.developmentApplications.push(developmentApplication);
+        }
+    };
+    return sink;
+}
+
+module.exports = {
+    createDatabaseSink: createDatabaseSink,
+    createMemorySink: createMemorySink
+};
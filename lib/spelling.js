@@ -0,0 +1,180 @@
+// Finds probable OCR misreadings in the descriptions of development applications and proposes
+// spelling corrections for them (see words.txt), and optionally corrects unrecognised words
+// directly (see the fuzzySpellingConfidence option of formatDescription in parser.js).  A word is
+// recognised if it appears in the vocabulary, which consists of the bundled English words (see
+// englishwords.txt), the words of the street and suburb names, the corrections in words.txt and
+// the words that appear frequently in the descriptions already in the database.
+
+"use strict";
+
+let fs = require("fs");
+let applicationNumbers = require("./applicationnumber.js");
+
+const MinimumWordLength = 4;  // shorter words (often abbreviations) are neither proposed for correction nor corrected
+const MinimumDescriptionCount = 3;  // a word from the descriptions must appear at least this many times to be added to the vocabulary
+const LongWordLength = 6;  // words of at least this length may differ from a correction by two characters (otherwise one)
+
+// Gets the word lists from which the vocabulary is created: the English words, the street and
+// suburb names and the corrections in the spelling corrections (see readCorrectionData).
+
+function getWordLists(options) {
+    return [ options.englishWords || [], options.streetNames || [], options.suburbNames || [], Object.keys(options.spellingCorrections || {}).map(misspelling => options.spellingCorrections[misspelling]) ];
+}
+
+// Splits text into words (sequences of letters, in the same way as formatDescription).
+
+function getWords(text) {
+    return (text || "").match(/[A-Za-z]+/g) || [];
+}
+
+// Gets the maximum edit distance between a word and its correction.
+
+function getMaximumDistance(word) {
+    return (word.length >= LongWordLength) ? 2 : 1;
+}
+
+// Writes a correction in the same case as the misspelt word (for example, "Existing" for
+// "Existinq" and "EXISTING" for "EXISTINQ").
+
+function matchCase(correction, word) {
+    if (word.length > 1 && word === word.toUpperCase())
+        return correction.toUpperCase();
+    if (word[0] === word[0].toUpperCase())
+        return correction[0].toUpperCase() + correction.substring(1);
+    return correction;
+}
+
+// Creates the vocabulary: a map from each known word (in lower case) to the number of times that
+// it appears in the descriptions (zero for words that only appear in the word lists).  A word that
+// appears frequently in the descriptions is only added if it is not within one character of a
+// word from the word lists (because a frequent OCR misreading such as "Dwellinq" would otherwise
+// become part of the vocabulary).
+
+function createVocabulary(wordLists, descriptions) {
+    let vocabulary = new Map();
+    for (let wordList of wordLists)
+        for (let text of wordList)
+            for (let word of getWords(text))
+                vocabulary.set(word.toLowerCase(), 0);
+
+    let counts = new Map();
+    for (let description of descriptions || [])
+        for (let word of getWords(description))
+            counts.set(word.toLowerCase(), (counts.get(word.toLowerCase()) || 0) + 1);
+
+    let listedWords = Array.from(vocabulary.keys());
+    for (let [ word, count ] of counts) {
+        if (vocabulary.has(word))
+            vocabulary.set(word, count);
+        else if (count >= MinimumDescriptionCount && !listedWords.some(listedWord => applicationNumbers.getEditDistance(listedWord, word) <= 1))
+            vocabulary.set(word, count);
+    }
+    return vocabulary;
+}
+
+// Finds the closest word in the vocabulary to an unrecognised word.  Returns the correction (in
+// the same case as the word), the edit distance and a confidence percentage (the proportion of
+// the characters of the word that did not need to change), or null if no word in the vocabulary
+// is close enough or if several words are equally close.
+
+function findClosestWord(word, vocabulary) {
+    let maximumDistance = getMaximumDistance(word);
+    let candidates = [];
+    for (let [ vocabularyWord, count ] of vocabulary) {
+        if (Math.abs(vocabularyWord.length - word.length) > maximumDistance)
+            continue;
+        let distance = applicationNumbers.getEditDistance(vocabularyWord, word.toLowerCase());
+        if (distance <= maximumDistance)
+            candidates.push({ word: vocabularyWord, count: count, distance: distance });
+    }
+    if (candidates.length === 0)
+        return null;
+
+    // Prefer the closest word and then the word that appears most often in the descriptions.
+
+    candidates.sort((a, b) => (a.distance - b.distance) || (b.count - a.count) || a.word.localeCompare(b.word));
+    if (candidates.length > 1 && candidates[1].distance === candidates[0].distance && candidates[1].count === candidates[0].count)
+        return null;  // ambiguous
+    return {
+        correction: matchCase(candidates[0].word, word),
+        distance: candidates[0].distance,
+        confidence: 100 * (1 - candidates[0].distance / word.length)
+    };
+}
+
+// Corrects an unrecognised word to the closest word in the vocabulary if the confidence of the
+// correction is at least the specified confidence percentage.  Returns the word unchanged if it is
+// recognised, too short or cannot be corrected with sufficient confidence.
+
+function correctWord(word, vocabulary, minimumConfidence) {
+    if (word.length < MinimumWordLength || vocabulary.has(word.toLowerCase()))
+        return word;
+    let closestWord = findClosestWord(word, vocabulary);
+    return (closestWord === null || closestWord.confidence < minimumConfidence) ? word : closestWord.correction;
+}
+
+// Proposes spelling corrections for the unrecognised words in the specified texts (the
+// descriptions and the raw text read by OCR), ignoring words that already have a spelling
+// correction.  Each proposal has the misspelt word, the correction, the edit distance, the
+// confidence and the number of times that the misspelt word occurs.  The proposals are ranked by
+// edit distance and then by the number of occurrences (most first).
+
+function proposeSpellingCorrections(texts, vocabulary, spellingCorrections) {
+    let occurrences = new Map();
+    for (let text of texts)
+        for (let word of getWords(text))
+            if (word.length >= MinimumWordLength && !vocabulary.has(word.toLowerCase()) && spellingCorrections[word] === undefined)
+                occurrences.set(word, (occurrences.get(word) || 0) + 1);
+
+    let proposals = [];
+    for (let [ word, count ] of occurrences) {
+        let closestWord = findClosestWord(word, vocabulary);
+        if (closestWord !== null)
+            proposals.push({ misspelling: word, correction: closestWord.correction, distance: closestWord.distance, confidence: closestWord.confidence, occurrences: count });
+    }
+    proposals.sort((a, b) => (a.distance - b.distance) || (b.occurrences - a.occurrences) || a.misspelling.localeCompare(b.misspelling));
+    return proposals;
+}
+
+// Formats spelling corrections in the format of words.txt (one "misspelling,correction" pair on
+// each line).
+
+function formatSpellingCorrections(proposals) {
+    return proposals.map(proposal => `${proposal.misspelling},${proposal.correction}\n`).join("");
+}
+
+// Appends the reviewed spelling corrections in a file (in the format of words.txt; the reviewer
+// deletes the lines of any rejected proposals) to the spelling corrections file, ignoring any
+// misspelling that already has a correction.  Returns the number of corrections added.
+
+function acceptSpellingCorrections(reviewedFileName, spellingCorrectionsFileName) {
+    let readLines = fileName => fs.readFileSync(fileName).toString().replace(/\r/g, "").split("\n").map(line => line.trim()).filter(line => line !== "");
+    let misspellings = readLines(spellingCorrectionsFileName).map(line => line.split(",")[0]);
+
+    let lines = [];
+    for (let line of readLines(reviewedFileName)) {
+        let parts = line.split(",");
+        if (parts.length !== 2 || parts[0].trim() === "" || parts[1].trim() === "")
+            throw new Error(`The line "${line}" in ${reviewedFileName} is not in the format "misspelling,correction".`);
+        if (!misspellings.includes(parts[0]) && parts[0] !== parts[1]) {
+            misspellings.push(parts[0]);
+            lines.push(line);
+        }
+    }
+
+    if (lines.length > 0) {
+        let text = fs.readFileSync(spellingCorrectionsFileName).toString();
+        fs.appendFileSync(spellingCorrectionsFileName, ((text === "" || text.endsWith("\n")) ? "" : "\n") + lines.join("\n") + "\n");
+    }
+    return lines.length;
+}
+
+module.exports = {
+    getWordLists: getWordLists,
+    createVocabulary: createVocabulary,
+    findClosestWord: findClosestWord,
+    correctWord: correctWord,
+    proposeSpellingCorrections: proposeSpellingCorrections,
+    formatSpellingCorrections: formatSpellingCorrections,
+    acceptSpellingCorrections: acceptSpellingCorrections
+};
@@ -0,0 +1,79 @@
+// Collects the statistics of a run (see the statistics option of the parsing functions in
+// parser.js): the number of documents, pages and images parsed, the number of lines and rows
+// examined and accepted, the number of rejections for each reason (see RejectionReasons) and a
+// sample of the rejected rows.  These distinguish an empty development register (few lines seen)
+// from a parsing regression (many rows rejected).
+
+"use strict";
+
+// The reasons for which parseLines rejects a line of words or a row (a group of lines with the
+// same application number).  The line reasons are counted once for each line read (the same
+// line is usually read several times from overlapping sections of an image).
+
+const RejectionReasons = {
+    NoLayout: "no layout",  // the columns of none of the layouts were found (for a whole page or image)
+    LowCellConfidence: "cell confidence below 60%",  // a line
+    NoSlash: "no slash in received date or application number",  // a line
+    BlankApplicationNumber: "blank application number",  // a row
+    LowApplicationNumberConfidence: "application number confidence below 70%",  // a row
+    LowAddressConfidence: "address confidence below 75%",  // a row
+    NoStreet: "no street",  // a row
+    UnrecognisedSuburb: "unrecognised suburb",  // a row
+    NoPosition: "no position"  // a row
+};
+
+const MaximumRejectedRows = 50;  // the maximum number of rejected rows kept (as a sample) for each reason
+
+// Creates the statistics for a new run.
+
+function createStatistics() {
+    return {
+        startTime: Date.now(),
+        documents: 0,
+        pages: 0,
+        images: 0,
+        linesSeen: 0,
+        rowsSeen: 0,
+        rowsAccepted: 0,
+        rejections: {},
+        rejectedRows: []
+    };
+}
+
+// Records a rejection (doing nothing if no statistics are being collected).  The row is the array
+// of cells of the rejected line or row (or null for a whole page or image).  The origin indicates
+// the page and image (if any) from which the row was obtained.
+
+function recordRejection(statistics, reason, pdfUrl, origin, row) {
+    if (!statistics)
+        return;
+
+    let count = (statistics.rejections[reason] || 0) + 1;
+    statistics.rejections[reason] = count;
+    if (count <= MaximumRejectedRows)
+        statistics.rejectedRows.push({
+            reason: reason,
+            pdfUrl: pdfUrl,
+            pageNumber: origin.pageNumber,
+            imageNumber: origin.imageNumber,
+            source: origin.source,
+            cells: (row === null) ? [] : row.map(cell => { return { field: cell.field, text: cell.text, confidence: cell.confidence }; })
+        });
+}
+
+// Formats the statistics of a run as text.
+
+function formatStatistics(statistics) {
+    let elapsedSeconds = Math.round((Date.now() - statistics.startTime) / 1000);
+    let lines = [ `Parsed ${statistics.documents} document(s), ${statistics.pages} page(s) and ${statistics.images} image(s) in ${elapsedSeconds} second(s): ${statistics.linesSeen} line(s) and ${statistics.rowsSeen} row(s) seen and ${statistics.rowsAccepted} row(s) accepted.` ];
+    for (let reason of Object.keys(statistics.rejections).sort())
+        lines.push(`    Rejected for ${reason}: ${statistics.rejections[reason]}`);
+    return lines.join("\n");
+}
+
+module.exports = {
+    RejectionReasons: RejectionReasons,
+    createStatistics: createStatistics,
+    recordRejection: recordRejection,
+    formatStatistics: formatStatistics
+};
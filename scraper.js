@@ -1,5 +1,6 @@
-// Parses the development applications at the South Australian City of Prospect web site and
-// places them in a database.
+// Parses the development applications at the web sites of South Australian councils (by default
+// the City of Prospect; see councils.json) and places them in a database.  This is the command
+// line entry point; the parsing itself is performed by the library in the lib directory.
 //
 // Michael Bone
 // 19th July 2018
@@ -7,681 +8,562 @@
 "use strict";
 
 let fs = require("fs");
-
-// Suppress the "pre-main prep time" messages generated by tesseract.js (there is no other easy
-// way to suppress these messages because it appears that the code runs in a separate process and
-// so, for example, overriding console.log in the current process appears to have no effect).
-
-let text = fs.readFileSync("node_modules/tesseract.js-core/index.js").toString().replace(/Module.\$a\("pre-main prep time\: "\+\(Date\.now\(\)\-tj\)\+" ms"\)/g, "true");
-fs.writeFileSync("node_modules/tesseract.js-core/index.js", text);
-
-let cheerio = require("cheerio");
-let request = require("request-promise-native");
-let sqlite3 = require("sqlite3").verbose();
-let urlparser = require("url");
-let moment = require("moment");
-let tesseract = require("tesseract.js");
 let pdfjs = require("pdfjs-dist");
-let jimp = require("jimp");
-let didyoumean = require("didyoumean2");
-
-const DevelopmentApplicationsUrl = "https://www.prospect.sa.gov.au/development/new-developments/development-register";
-const CommentUrl = "mailto:admin@prospect.sa.gov.au";
-
-// Heights and widths used when recognising text in an image.
+let scraper = require("./lib");
 
-const ScaleFactor = 5.0;  // the scale factor for sections of images
-const LineHeight = 15;  // the tallest line of text is approximately this many pixels high
-const SectionHeight = LineHeight * 2;  // the text will be examined in sections of this height (in pixels)
-const SectionStep = 5;  // the next section of text examined will be offset vertically this number of pixels
-const ColumnGap = 15;  // the horizontal gap between columns is assumed to be larger than about 15 pixels
-const ColumnAlignment = 10;  // text above or below within this number of horizontal pixels is considered to be aligned at the start of a column
-const LineAlignment = 5;  // text within this number of pixels vertically is considered to be on the same line
+// The profiles of the councils whose development registers can be parsed (each profile includes
+// the development register URL, the files of street and suburb names and the database).
 
-// All street and suburb names (used when correcting addresses).
+const CouncilsFileName = "councils.json";
+const DefaultCouncilName = "prospect";
 
-let AllStreetNames = null;
-let AllSuburbNames = null;
+// The default limits on the amount of work performed in a single run (OCR is extremely memory and
+// CPU intensive so only a portion of the development register is parsed in each run).
 
-// Spelling corrections for the description text.
+const DefaultTimeBudget = 30;  // the number of minutes after which no further pages are parsed
+const DefaultPageBudget = 20;  // the maximum number of pages parsed in a single run
 
-let SpellingCorrections = null;
+// The directory in which the lines of words recognised by OCR are cached (see lib/cache.js).
 
-// Sets up an sqlite database.
+const OcrCacheDirectory = "ocr-cache";
 
-async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)");
-            resolve(database);
-        });
-    });
-}
-
-// Inserts a row in the database if it does not already exist.
-
-async function insertRow(database, developmentApplication) {
-    return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            null,
-            null
-        ], function(error, row) {
-            if (error) {
-                console.error(error);
-                reject(error);
-            } else {
-                console.log(`    Application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" was saved to the database.`);
-                sqlStatement.finalize();  // releases any locks
-                resolve(row);
-            }
-        });
-    });
-}
+// The default port of the HTTP server for querying development applications (see --serve).
 
-// Corrects common spelling errors in the description text.
+const DefaultPort = 8080;
 
-function formatDescription(description) {
-    // Replace a common misspelling.
+// The environment variables that configure the SMTP server through which email alerts are sent
+// (see lib/alerts.js).  Webhook alerts need no configuration.
 
-    description = description.replace(/ﬁ/g, "fi");
+const SmtpHostVariable = "SMTP_HOST";
+const SmtpPortVariable = "SMTP_PORT";  // defaults to 25
+const SmtpFromVariable = "SMTP_FROM";  // the sender address of email alerts
 
-    // Split the text whenever a sequence of letters is encountered.  And then correct any common
-    // misspellings of words (for example, correct "Existinq" to "Existing").
+// The number of most recent runs listed (see --list-runs).
 
-    let formattedDescription = "";
-    let isPreviousLetter = null;
-    let previousIndex = null;
+const RunListLength = 20;
 
-    for (let index = 0; index <= description.length; index++) {
-        let c = (index === description.length) ? 0 : description.charCodeAt(index);
-        let isLetter = (c >= 65 && c <= 90) || (c >= 97 && c <= 122);  // A-Z or a-z
-        if (isLetter !== isPreviousLetter || c === 0) {
-            if (previousIndex !== null) {
-                let spellingCorrection = SpellingCorrections[description.substring(previousIndex, index)];
-                formattedDescription += (spellingCorrection === undefined) ? description.substring(previousIndex, index) : spellingCorrection;
-            }
-            previousIndex = index;
-            isPreviousLetter = isLetter;
-        }
-    }
+// Suppress the "pre-main prep time" messages generated by tesseract.js (there is no other easy
+// way to suppress these messages because it appears that the code runs in a separate process and
+// so, for example, overriding console.log in the current process appears to have no effect).
 
-    return formattedDescription;
+function suppressTesseractMessages() {
+    let text = fs.readFileSync("node_modules/tesseract.js-core/index.js").toString().replace(/Module.\$a\("pre-main prep time\: "\+\(Date\.now\(\)\-tj\)\+" ms"\)/g, "true");
+    fs.writeFileSync("node_modules/tesseract.js-core/index.js", text);
 }
 
-// Formats addresses, correcting any minor spelling errors.  An address is expected to be in the
-// following format:
-//
-//     <StreetNumber> <StreetName> <SuburbName> <StateAbbreviation> <PostCode>
-//
-// where,
-//
-//     <StreetNumber> may contain digits, dashes, slashes (and sometimes spaces)
-//     <StreetName> is in mixed case and may contain spaces
-//     <SuburbName> is usually all uppercase (occasionally mixed case) and may contain spaces
-//     <StateAbbreviation> is in all uppercase and may not contain spaces
-//     <PostCode> is four digits and may not contain spaces
-//
-// for example,
-//
-//     2/121-130A Main North Road MEDINDIE GARDENS SA 5083
-
-function formatAddress(address) {
-    let tokens = address.trim().split(/\s+/);
-    let formattedAddress = { text: address.trim(), hasStreet: false, hasRecognizedStreet: false, hasRecognizedSuburb: false };
-        
-    // Extract the suburb name (with the state abbreviation "SA" and postcode "5081", "5082" or
-    // "5083") while allowing several spaces.  For example, "MEDI NDIE GARDE NS SA 5081" and
-    // "FIT ZROY SA 5082".  This attempts to correct the suburb name (but only allows a small
-    // amount of change because otherwise a valid street or suburb name such as "Churcher" could
-    // be accidentally converted to another equally valid street or suburb name such as "Church").
-
-    let suburbName = null;
-    let suburbNameMatch = null;
-    for (let index = 0; index < 5 && suburbNameMatch === null; index++) {
-        suburbName = (tokens.pop() || "") + ((index === 0) ? "" : (" " + suburbName));
-        suburbNameMatch = didyoumean(suburbName, AllSuburbNames, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+// Parses documents (each with a URL and, for a local PDF file, a path) to completion without
+// writing to the database, and then reports which development applications are new,
+// which existing rows would change and which existing rows the documents no longer produce.  The
+// report is optionally also written to a JSON file.
+
+async function dryRun(council, documents, options, jsonFileName) {
+    let sink = scraper.createMemorySink();
+    options = Object.assign({}, options, { statistics: scraper.createStatistics() });
+    for (let document of documents) {
+        console.log(`Reading document: ${document.path || document.url}`);
+        let data = (document.path === undefined) ? (await scraper.fetchDocument(document.url)).data : fs.readFileSync(document.path);
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(data), disableFontFace: true });
+        await scraper.parsePdf(sink, document.url, pdf, options);  // this collects development applications in memory
     }
 
-    if (suburbNameMatch === null || tokens.length === 0)
-        return formattedAddress;  // give up after several spaces (and assume the address is invalid)
-
-    formattedAddress.hasRecognizedSuburb = true;
-    
-    // Extract the street name, similarly allowing several spaces, and similarly attempting to
-    // correct the street name (allowing only a small amount of change).
-
-    formattedAddress.hasStreet = (tokens.length > 0);
-    let removedTokens = [];
-
-    let streetName = null;
-    let streetNameMatch = null;
-    while (tokens.length > 0) {
-        let token = tokens[0];
-        if (!/^[0-9]+$/.test(token) && !/^[0-9][A-Za-z]$/.test(token) && token.length >= 2) {  // ignore street numbers, otherwise "6 King Street" is changed to "King Street"; ignore a single character such as "S" (because it is probably, really the digit "5")
-            streetName = tokens.join(" ");
-            streetNameMatch = didyoumean(streetName, AllStreetNames, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 3, trimSpace: true });
-            if (streetNameMatch !== null && !(streetName[2] === " " && streetName.substring(3).toLowerCase() === streetNameMatch.toLowerCase()))  // avoid converting "SB Iona Street" to "Iona Street" (the "S" is probably really a "5")
-                break;
-        }
-        tokens.shift();
-        removedTokens.push(token);
-    }
+    let database = await scraper.openReadOnlyDatabase(council.databaseFileName);
+    let existingRows = (database === null) ? [] : await scraper.getRows(database);
+    if (database !== null)
+        database.close();
 
-    if (streetNameMatch === null) {
-        if (suburbNameMatch !== suburbName)
-            formattedAddress.text = (removedTokens.join(" ") + " " + suburbNameMatch).trim();  // attempt to preserve the corrected suburb name
-        return formattedAddress;  // give up after several spaces
+    let report = scraper.diffApplications(existingRows, sink.developmentApplications, documents.map(document => document.url));
+    if (jsonFileName !== undefined) {
+        fs.writeFileSync(jsonFileName, JSON.stringify(report, null, 4) + "\n");
+        console.log(`Wrote the dry run report to: ${jsonFileName}`);
     }
-
-    formattedAddress.hasRecognizedStreet = true;
-
-    // Reconstruct the corrected address.
-
-    if (streetNameMatch !== streetName || suburbNameMatch !== suburbName)
-        formattedAddress.text = (removedTokens.join(" ") + " " + streetNameMatch).trim() + " " + suburbNameMatch;
-    
-    return formattedAddress;
+    console.log(scraper.formatStatistics(options.statistics));
+    console.log(scraper.formatDiff(report));
 }
 
-// Determine the starting X co-ordinate of each column.
-
-function findColumns(lines, scaleFactor) {
-    // Start with a large column gap.  Continue to reduce this until exactly five columns are
-    // found.  This then caters for some documents where the column gap is very narrow.
-
-    for (let columnGap = ColumnGap; columnGap >= 1; columnGap--) {
-        // Determine where the received date, application number, description, applicant and
-        // address are located on each line.  This is partly determined by looking for the sizable
-        // gaps between columns.
-
-        let columns = [];
-        for (let line of lines) {
-            let previousWord = null;
-            for (let word of line) {
-                if (previousWord === null || word.bounds.x - (previousWord.bounds.x + previousWord.bounds.width) >= columnGap * scaleFactor) {
-                    // Found the potential start of another column (count how many times this
-                    // occurs at the current X co-ordinate; the more times the more likely it
-                    // is that this is actually the start of a column).
-
-                    let closestColumn = columns.find(column => Math.abs(word.bounds.x - column.x) < ColumnAlignment * scaleFactor);
-                    if (closestColumn !== undefined)
-                        closestColumn.count++;
-                    else
-                        columns.push({ x: word.bounds.x, count: 1 });
-                }
-                previousWord = word;
-            }
-        }
-        
-        // Ignore columns that have low counts.
-
-        let totalCount = 0;
-        for (let column of columns)
-            totalCount += column.count;
-        let averageCount = totalCount / 5;  // assume there are five "major" columns
-        columns = columns.filter(column => column.count > averageCount / 2);  // low counts indicate low likelihood of the start of a column (arbitrarily use the average count divided by two as a threshold)
-        columns.sort((column1, column2) => (column1.x > column2.x) ? 1 : ((column1.x < column2.x) ? -1 : 0));
+// Parses each local PDF file with different pre-processing steps (see lib/comparison.js) and
+// reports the yield and confidence of each.
 
-        // Check if five columns have been found.
-
-        if (columns.length === 5)
-            return columns;
+async function comparePreprocessing(localPath, sourceUrl, options) {
+    for (let localPdf of scraper.findLocalPdfs(localPath, sourceUrl)) {
+        console.log(`Reading document: ${localPdf.path} (source ${localPdf.url})`);
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(localPdf.path)), disableFontFace: true });
+        let results = await scraper.comparePreprocessing(localPdf.url, pdf, options);
+        console.log(`Comparison of the pre-processing steps for ${localPdf.path}:`);
+        console.log(scraper.formatComparison(results));
     }
-
-    return null;
 }
 
-// Merge an array of rows into a single row by choosing the cells in each column that have the
-// highest confidence.  Although for the received date and application number columns prefer
-// those with two slashes over those with other numbers of slashes (even if the application
-// number has lower confidence).
-
-function mergeRows(rows) {
-    let mergedRow = rows[0];
-    for (let columnIndex = 0; columnIndex < mergedRow.length; columnIndex++) {
-        if (columnIndex == 0 || columnIndex == 1) {  // received date or application number
-            // The received date and application number are better if they contain two slashes.
-            // For example, "29/01/2017" and "060/331/2018".  The closer to two slashes the better
-            // (hence the use of the word "distance" in variable names below).
-
-            let mergedCellSlashDistance = Math.abs(2 - (mergedRow[columnIndex].text.split("/").length - 1));
-            for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
-                let cellSlashDistance = Math.abs(2 - (rows[rowIndex][columnIndex].text.split("/").length - 1));
-                if (cellSlashDistance <= mergedCellSlashDistance && rows[rowIndex][columnIndex].confidence > mergedRow[columnIndex].confidence) {
-                    mergedRow[columnIndex].text = rows[rowIndex][columnIndex].text;
-                    mergedRow[columnIndex].confidence = rows[rowIndex][columnIndex].confidence;
-                }
-            }
-        } else {
-            // For other columns such as description and address simply look at the confidence
-            // values.
-
-            for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
-                if (rows[rowIndex][columnIndex].confidence > mergedRow[columnIndex].confidence) {
-                    mergedRow[columnIndex].text = rows[rowIndex][columnIndex].text;
-                    mergedRow[columnIndex].confidence = rows[rowIndex][columnIndex].confidence;
-                }
-            }
-        }
-    }
-    return mergedRow;
-}
-
-// Parses the lines of words.  Each word in a line consists of a bounding box, the text that
-// exists in that bounding box and the confidence information determined by tesseract.js.  The
-// logic here also performs partitioning of the text into columns (for example, the description
-// and address columns).
-
-function parseLines(pdfUrl, lines, scaleFactor) {
-    // Determine where the received date, application number, description, applicant and address
-    // start on each line.
-
-    let columns = findColumns(lines, scaleFactor);
-    if (columns === null) {
-        console.log("No application numbers were parsed from the document because five columns were not found.");
-        return [];
-    }
-
-    // Assume that there are five columns: received date, application number, description,
-    // applicant and address.
-
-    let rows = [];
-    for (let line of lines) {
-        // Initialise the row object which will contain the results of parsing the line.
-
-        let row = columns.map(() => { return { y: null, texts: [], text: "", confidences: [], confidence: 0 }; });
-
-        // Group the words from the line into the five columns.
-
-        let cell = null;
-        for (let word of line) {
-            // Determine if this word lines up with the start of a column (keeping in mind that
-            // there are five columns: received date, application number, description, applicant
-            // and address).
-
-            let columnIndex = columns.findIndex(column => Math.abs(column.x - word.bounds.x) < ColumnAlignment * scaleFactor);
-            if (columnIndex >= 0) {
-                cell = row[columnIndex];
-                cell.y = word.bounds.y;
-            }
-
-            // Add the word to the currently determined column.
-
-            if (cell !== null) {
-                cell.texts.push(word.text);
-                cell.confidences.push(word.confidence);
-            }
-        }
+// Reports the development applications whose address, description or received date changed
+// between runs (these changes are either genuine amendments by the council or differences in the
+// OCR results when a document is parsed again).
 
-        // Aggregate the data gathered for each column.
-
-        for (let cell of row)
-            cell.confidence = cell.confidences.reduce((a, b) => a + b, 0) / Math.max(1, cell.confidences.length);  // average confidence
-
-        // Join together the words into text for each column of the row.
-
-        row[0].text = row[0].texts.join("").trim();  // received date
-        row[1].text = row[1].texts.join("").trim();  // application number
-        row[2].text = row[2].texts.join(" ").trim();  // description
-        row[3].text = row[3].texts.join(" ").trim();  // applicant (not currently used) or address
-        row[4].text = row[4].texts.join(" ").trim();  // address or applicant (not currently used)
-
-        // Ignore any rows where there is any cell with a confidence under 60% (this indicates that
-        // some text was extremely unreliable and was maybe horizontally cut in half).  Ignore any
-        // rows where there is not at least one slash in the received date or application number.
-
-        if (row.find(cell => cell.confidence < 60) === undefined)  // ensure that all cells are 60% or above in confidence
-            if (row[0].text.indexOf("/") >= 0 || row[1].text.indexOf("/") >= 0)  // ensure that the characters are not just random in the received date and application number (due to being cut in half horizontally)
-                rows.push(row);
+async function reportChanges(database, sinceDate) {
+    let changedApplications = await scraper.getChangedApplications(database, sinceDate);
+    if (changedApplications.length === 0) {
+        console.log("No development applications have changed.");
+        return;
     }
 
-    // Group the rows by Y co-ordinate (the same row typically appears multiple times because the
-    // image was examined vertically in overlapping steps).
-
-    let groups = [];
-    for (let row of rows) {
-        let group = groups.find(group => Math.abs(group.y - row[0].y) < LineAlignment * scaleFactor);
-        if (group === undefined) {
-            group = { y: row[0].y, rows: [] };
-            groups.push(group);
+    for (let changedApplication of changedApplications) {
+        console.log(`Application "${changedApplication.applicationNumber}" has ${changedApplication.versions.length} versions:`);
+        let previousVersion = null;
+        for (let version of changedApplication.versions) {
+            console.log(`    Scraped ${version.date_scraped} from ${version.info_url}`);
+            for (let field of scraper.HistoryFields)
+                if (previousVersion === null)
+                    console.log(`        ${field.column}: "${version[field.column]}"`);
+                else if (version[field.column] !== previousVersion[field.column])
+                    console.log(`        ${field.column}: "${previousVersion[field.column]}" changed to "${version[field.column]}"`);
+            previousVersion = version;
         }
-        group.rows.push(row);
     }
+}
 
-    // Within each column (within a group) choose the cell with the highest confidence.
+// Classifies the descriptions of all development applications already in the database into
+// development types (for example, after the classification rules in classifier.js are changed).
 
-    rows = [];
-    for (let group of groups)
-        rows.push(mergeRows(group.rows));
+async function classifyAll(database) {
+    let rows = await scraper.getDescriptions(database);
+    for (let row of rows)
+        await scraper.insertDevelopmentTypes(database, row.council_reference, scraper.classifyDescription(row.description));
+    console.log(`Classified ${rows.length} development application(s).`);
+}
 
-    // Group together rows with the same application number.
+// Lists the entries in the OCR cache.
 
-    groups = [];
-    for (let row of rows) {
-        let group = groups.find(group => group.applicationNumber === row[1].text);
-        if (group === undefined) {
-            group = { applicationNumber: row[1].text, rows: [] };
-            groups.push(group);
-        }
-        group.rows.push(row);
-    }
+function listOcrCache() {
+    let entries = scraper.listCache(OcrCacheDirectory);
+    for (let entry of entries)
+        console.log(`${entry.key.substring(0, 12)}  ${entry.dateCached}  ${entry.pdfUrl} (page ${entry.pageNumber}, image ${entry.imageNumber}): ${entry.lineCount} line(s), ${entry.wordCount} word(s)`);
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    console.log(`The OCR cache (${OcrCacheDirectory}) contains ${entries.length} image(s) using ${(size / (1024 * 1024)).toFixed(1)} MB.`);
+}
 
-    // Within each column (within a group) choose the cell with the highest confidence.
-
-    rows = [];
-    for (let group of groups)
-        rows.push(mergeRows(group.rows));
-
-    // Convert all of the rows to development applications.
-
-    let developmentApplications = [];
-    for (let row of rows) {
-        // Re-format the address (making minor corrections where possible).  Note that either
-        // row[3] or row[4] will contain the address (and the column heading cannot be used to
-        // determine which, because sometimes the heading of the column containing addresses is
-        // incorrectly "From (Applicant)" instead of "Address").
-        
-        let formattedAddress1 = formatAddress(row[3].text);
-        let formattedAddress2 = formatAddress(row[4].text);
-        let formattedAddress = undefined;
-        if (formattedAddress2.hasStreet && formattedAddress2.hasRecognizedSuburb)
-            formattedAddress = formattedAddress2;
-        else if (formattedAddress1.hasStreet && formattedAddress1.hasRecognizedSuburb)
-            formattedAddress = formattedAddress1;
+// Parses the command line arguments.  The supported arguments are,
+//
+//     --council <name>  the council whose development applications are parsed (see councils.json;
+//                       defaults to "prospect")
+//     --file <path>  parses a local PDF file (or a directory of PDF files) instead of the PDFs
+//                    linked from the development register web page
+//     --url <url>    the URL to record as the source of the local PDF file (see --file)
+//     --time-budget <minutes>  the number of minutes after which no further pages are parsed
+//     --page-budget <pages>    the maximum number of pages parsed in a single run
+//     --record-lines <directory>  records the lines of words obtained from each page and image
+//                                 as JSON files (for use as test fixtures)
+//     --debug <directory>  writes an annotated HTML page for each page and image showing the
+//                          words, the columns and the accepted and rejected lines and rows (see
+//                          lib/debug.js)
+//     --report-changes  lists the development applications whose fields changed between runs
+//     --since <date>    only reports changes scraped on or after this date (see --report-changes)
+//     --classify        classifies the descriptions of all development applications already in
+//                       the database into development types
+//     --ocr-workers <count>    the maximum number of OCR workers (defaults to the number of CPUs)
+//     --ocr-memory <MB>        the memory limit for this process and the OCR workers (defaults to
+//                              512 MB; each OCR worker needs approximately 300 MB)
+//     --dry-run         parses all documents (or the local PDF files; see --file) without writing
+//                       to the database and reports how the results differ from the database
+//     --json <file>     also writes the dry run report as JSON to the specified file (see --dry-run)
+//     --serve           starts an HTTP server for querying the development applications in the
+//                       database (see lib/server.js)
+//     --port <port>     the port on which the HTTP server listens (see --serve; defaults to 8080)
+//     --no-ocr-cache    always performs OCR (instead of using and updating the OCR cache)
+//     --list-ocr-cache  lists the images whose OCR results are cached
+//     --clear-ocr-cache removes all cached OCR results
+//     --add-watch <type> <value>  saves a watch so that new development applications on a street,
+//                                 in a suburb, with a keyword in the description or with an
+//                                 application number prefix are alerted (the type is "street",
+//                                 "suburb", "keyword" or "prefix"; see lib/alerts.js)
+//     --notify <url>    the webhook URL or "mailto:" email address notified by the watch (see
+//                       --add-watch)
+//     --list-watches    lists the saved watches
+//     --remove-watch <id>  removes a saved watch
+//     --preprocessing <steps>  the comma separated pre-processing steps applied to images before
+//                              OCR (for example, "deskew,threshold,horizontalLines"; or "none";
+//                              see lib/image.js), instead of the steps in the council profile
+//     --compare-preprocessing  parses the local PDF files (see --file) with the configured
+//                              pre-processing steps and then with each step switched the other
+//                              way, comparing the yield and confidence (nothing is written to the
+//                              database)
+//     --list-documents  lists the documents (with the reporting period and number of text and
+//                       scanned pages of each) and any missing reporting periods
+//     --list-runs       lists the statistics (including the rejections for each reason) of the
+//                       most recent runs
+//     --list-stale-corrections  lists the manual corrections (see corrections.json) that no longer
+//                               differ from the scraped value, so that they can be retired
+//     --propose-spelling-corrections <file>  writes proposed spelling corrections for the
+//                                            unrecognised words in the descriptions to a file
+//                                            for review (see lib/spelling.js)
+//     --accept-spelling-corrections <file>   adds the reviewed spelling corrections in a file to
+//                                            the spelling corrections file (words.txt)
+//     --fuzzy-spelling <confidence>  also corrects unrecognised words in descriptions to the
+//                                    closest known word if the confidence percentage of the
+//                                    correction is at least this (for example, 80)
+
+function parseArguments(args) {
+    let options = { councilName: DefaultCouncilName, localPath: undefined, sourceUrl: undefined, timeBudget: DefaultTimeBudget, pageBudget: DefaultPageBudget, linesRecordingDirectory: null, debugDirectory: null, isReportChanges: false, sinceDate: undefined, isClassify: false, ocrWorkerCount: undefined, ocrMemoryLimit: undefined, isOcrCacheUsed: true, isListOcrCache: false, isClearOcrCache: false, isDryRun: false, jsonFileName: undefined, isServe: false, port: DefaultPort, watchType: undefined, watchValue: undefined, notify: undefined, isListWatches: false, removedWatchId: undefined, isListRuns: false, isListDocuments: false, preprocessingSteps: undefined, isComparePreprocessing: false, isListStaleCorrections: false, proposalsFileName: undefined, reviewedFileName: undefined, fuzzySpellingConfidence: undefined };
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === "--council" && index + 1 < args.length)
+            options.councilName = args[++index];
+        else if (args[index] === "--file" && index + 1 < args.length)
+            options.localPath = args[++index];
+        else if (args[index] === "--url" && index + 1 < args.length)
+            options.sourceUrl = args[++index];
+        else if (args[index] === "--time-budget" && index + 1 < args.length)
+            options.timeBudget = Number(args[++index]);
+        else if (args[index] === "--page-budget" && index + 1 < args.length)
+            options.pageBudget = Number(args[++index]);
+        else if (args[index] === "--record-lines" && index + 1 < args.length)
+            options.linesRecordingDirectory = args[++index];
+        else if (args[index] === "--debug" && index + 1 < args.length)
+            options.debugDirectory = args[++index];
+        else if (args[index] === "--report-changes")
+            options.isReportChanges = true;
+        else if (args[index] === "--classify")
+            options.isClassify = true;
+        else if (args[index] === "--since" && index + 1 < args.length)
+            options.sinceDate = args[++index];
+        else if (args[index] === "--dry-run")
+            options.isDryRun = true;
+        else if (args[index] === "--json" && index + 1 < args.length)
+            options.jsonFileName = args[++index];
+        else if (args[index] === "--serve")
+            options.isServe = true;
+        else if (args[index] === "--port" && index + 1 < args.length)
+            options.port = Number(args[++index]);
+        else if (args[index] === "--add-watch" && index + 2 < args.length) {
+            options.watchType = args[++index];
+            options.watchValue = args[++index];
+        } else if (args[index] === "--notify" && index + 1 < args.length)
+            options.notify = args[++index];
+        else if (args[index] === "--preprocessing" && index + 1 < args.length)
+            options.preprocessingSteps = (args[++index] === "none") ? [] : args[index].split(",").map(step => step.trim());
+        else if (args[index] === "--compare-preprocessing")
+            options.isComparePreprocessing = true;
+        else if (args[index] === "--list-documents")
+            options.isListDocuments = true;
+        else if (args[index] === "--list-runs")
+            options.isListRuns = true;
+        else if (args[index] === "--list-stale-corrections")
+            options.isListStaleCorrections = true;
+        else if (args[index] === "--propose-spelling-corrections" && index + 1 < args.length)
+            options.proposalsFileName = args[++index];
+        else if (args[index] === "--accept-spelling-corrections" && index + 1 < args.length)
+            options.reviewedFileName = args[++index];
+        else if (args[index] === "--fuzzy-spelling" && index + 1 < args.length)
+            options.fuzzySpellingConfidence = Number(args[++index]);
+        else if (args[index] === "--list-watches")
+            options.isListWatches = true;
+        else if (args[index] === "--remove-watch" && index + 1 < args.length)
+            options.removedWatchId = Number(args[++index]);
+        else if (args[index] === "--no-ocr-cache")
+            options.isOcrCacheUsed = false;
+        else if (args[index] === "--list-ocr-cache")
+            options.isListOcrCache = true;
+        else if (args[index] === "--clear-ocr-cache")
+            options.isClearOcrCache = true;
+        else if (args[index] === "--ocr-workers" && index + 1 < args.length)
+            options.ocrWorkerCount = Number(args[++index]);
+        else if (args[index] === "--ocr-memory" && index + 1 < args.length)
+            options.ocrMemoryLimit = Number(args[++index]);
         else
-            formattedAddress = formattedAddress2;
-
-        // Parse the received date so that it can be reformatted.
-
-        let receivedDate = moment(row[0].text, "D/MM/YYYY", true);
-        if (!receivedDate.isValid())
-            receivedDate = moment(row[0].text, "YYYY-MM-DDTHH:mm:ss", true);
-
-        // Ensure that the formatted address has a street name (possibly not recognised) and has
-        // a recognised suburb name.  Ensure that the development application number is not blank
-        // and has a reasonably high confidence (at least 70%).  Ensure that the address text has
-        // reasonably high confidence (at least 75%).  And ensure that a Y co-ordinate has been
-        // determined.
-
-        if (formattedAddress.hasStreet && formattedAddress.hasRecognizedSuburb && row[1].text !== "" && row[1].confidence >= 70 && row[4].confidence >= 75 && row[0].y !== null) {
-            developmentApplications.push({
-                applicationNumber: row[1].text,
-                address: formattedAddress.text,
-                description: formatDescription(row[2].text),
-                informationUrl: pdfUrl,
-                commentUrl: CommentUrl,
-                scrapeDate: moment().format("YYYY-MM-DD"),
-                receivedDate: receivedDate.isValid() ? receivedDate.format("YYYY-MM-DD") : ""
-            });
-        }
+            throw new Error(`Unrecognised command line argument: ${args[index]}`);
     }
 
-    return developmentApplications;
+    if (options.sourceUrl !== undefined && options.localPath === undefined)
+        throw new Error("The --url argument can only be used in combination with the --file argument.");
+    if (options.localPath !== undefined && !fs.existsSync(options.localPath))
+        throw new Error(`The local path does not exist: ${options.localPath}`);
+    if (options.sourceUrl !== undefined && fs.statSync(options.localPath).isDirectory())
+        throw new Error("The --url argument cannot be used with a directory (use a manifest.json file in the directory instead).");
+    if (options.isComparePreprocessing && options.localPath === undefined)
+        throw new Error("The --compare-preprocessing argument can only be used in combination with the --file argument.");
+    if (options.jsonFileName !== undefined && !options.isDryRun)
+        throw new Error("The --json argument can only be used in combination with the --dry-run argument.");
+    if ((options.watchType === undefined) !== (options.notify === undefined))
+        throw new Error("The --add-watch and --notify arguments must be used together.");
+    if (options.removedWatchId !== undefined && !Number.isInteger(options.removedWatchId))
+        throw new Error("The --remove-watch argument must be the identifier of a watch (see --list-watches).");
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535)
+        throw new Error("The --port argument must be a port number.");
+    if (options.sinceDate !== undefined && !options.isReportChanges)
+        throw new Error("The --since argument can only be used in combination with the --report-changes argument.");
+    if (isNaN(options.timeBudget) || options.timeBudget <= 0 || isNaN(options.pageBudget) || options.pageBudget <= 0)
+        throw new Error("The --time-budget and --page-budget arguments must be positive numbers.");
+    if ((options.ocrWorkerCount !== undefined && !(options.ocrWorkerCount >= 1)) || (options.ocrMemoryLimit !== undefined && !(options.ocrMemoryLimit > 0)))
+        throw new Error("The --ocr-workers and --ocr-memory arguments must be positive numbers.");
+    if (options.fuzzySpellingConfidence !== undefined && !(options.fuzzySpellingConfidence > 0 && options.fuzzySpellingConfidence <= 100))
+        throw new Error("The --fuzzy-spelling argument must be a confidence percentage (for example, 80).");
+
+    return options;
 }
 
-// Parses an image from a PDF file.
-
-async function parseImage(pdfUrl, image, scaleFactor) {
-    // The image is examined in overlapping sections to reduce the memory usage (there is currently
-    // a hard limit of 512 MB when running in morph.io).
+// Gets the options for sending alerts (see lib/alerts.js) from the environment variables.
 
-    let lines = [];
-
-    for (let sectionY = 0; sectionY < image.height; sectionY += SectionStep) {
-        let sectionHeight = Math.min(image.height - sectionY, SectionHeight);
+function getAlertOptions() {
+    return {
+        smtpHost: process.env[SmtpHostVariable],
+        smtpPort: (process.env[SmtpPortVariable] === undefined) ? undefined : Number(process.env[SmtpPortVariable]),
+        smtpFrom: process.env[SmtpFromVariable]
+    };
+}
 
-        // Convert the image data into a format that can be used by jimp.
+// Lists the documents in the ledger of documents (with the reporting period, the number of pages
+// of each kind and the number of development applications of each document) and the reporting
+// periods for which no document was found.
 
-        let jimpImage = new jimp(image.width, image.height);
-        for (let x = 0; x < image.width; x++) {
-            for (let y = 0; y < image.height; y++) {
-                let index = (y * image.width * 3) + (x * 3);
-                let color = jimp.rgbaToInt(image.data[index], image.data[index + 1], image.data[index + 2], 255);
-                jimpImage.setPixelColor(color, x, y);
-            }
-        }
+async function listDocuments(database) {
+    let documents = await scraper.getDocuments(database);
+    for (let document of documents)
+        console.log(`${document.reporting_period || "unknown period"}  ${document.url} ("${document.title || ""}"): ${document.status}, ${(document.page_count === null) ? "unknown number of" : document.page_count} page(s) (${document.text_pages} text, ${document.scanned_pages} scanned, ${document.mixed_pages} mixed), ${document.application_count} application(s), downloaded ${document.date_downloaded || "never"}`);
+    let missingPeriods = scraper.findMissingReportingPeriods(documents.map(document => document.reporting_period));
+    console.log(`There are ${documents.length} document(s).  ${(missingPeriods.length === 0) ? "No reporting periods are missing." : "The missing reporting periods are: " + missingPeriods.join(", ")}`);
+}
 
-        // Attempt to remove any horizontal black lines (as these usually interfere with the
-        // recognition of characters that have descenders such as "g", "j", "p", "q" and "y").
+// Lists the statistics of the most recent runs.
 
-        let previousColors = null;
-        for (let y = 0; y < image.height; y++) {
-            // Count the number of dark pixels across the current horizontal line.
+async function listRuns(database) {
+    let runs = await scraper.getRuns(database, RunListLength);
+    for (let run of runs.reverse()) {
+        console.log(`Run ${run.id} started ${run.date_started} (${run.elapsed_seconds} second(s)): ${run.documents} document(s), ${run.pages} page(s), ${run.images} image(s), ${run.lines_seen} line(s) and ${run.rows_seen} row(s) seen and ${run.rows_accepted} row(s) accepted.`);
+        for (let reason of Object.keys(run.rejections))
+            console.log(`    Rejected for ${reason}: ${run.rejections[reason]}`);
+    }
+    console.log(`Listed ${runs.length} run(s) (the rejected rows are sampled in the rejected_rows table).`);
+}
 
-            let darkCount = 0;
-            let colors = {};
-            for (let x = 0; x < image.width; x++) {
-                let value = jimpImage.getPixelColor(x, y);
-                let color = jimp.intToRGBA(value);
-                if (color.r < 64 && color.g < 64 && color.b < 64 && color.a >= 196)
-                    darkCount++;
-                colors[value] = (colors[value] || 0) + 1;
-            }
+// Lists the manual corrections that no longer differ from the scraped value (or whose development
+// applications are not in the database even though every document has been parsed), so that they
+// can be removed from the corrections file.  The corrections for development applications that
+// have not been parsed yet are listed separately.
+
+async function listStaleCorrections(database, corrections) {
+    let rows = await scraper.getRows(database);
+    let documents = await scraper.getDocuments(database);
+    let isRegisterParsed = documents.length > 0 && documents.every(document => document.status === scraper.DocumentStatus.Done);
+    let staleCorrections = scraper.findStaleCorrections(rows, await scraper.getProvenance(database), corrections, isRegisterParsed);
+    for (let staleCorrection of staleCorrections)
+        console.log(`${staleCorrection.applicationNumber}  ${staleCorrection.field} "${staleCorrection.value}": ${staleCorrection.reason}`);
+    let unseenApplicationNumbers = isRegisterParsed ? [] : scraper.findUnseenCorrections(rows, corrections);
+    if (unseenApplicationNumbers.length > 0)
+        console.log(`Not yet seen (the development register has not been completely parsed, so these are kept): ${unseenApplicationNumbers.join(", ")}`);
+    console.log(`${staleCorrections.length} manual correction(s) can be retired.`);
+}
 
-            // If there are a lot of dark pixels then it is very likely a black line.  Set all
-            // those pixels to the most common colour on the immediately previous line.
+// Writes proposed spelling corrections for the unrecognised words in the descriptions to a file
+// (for review).  The raw text of each description (before any spelling corrections) is examined
+// where it was recorded in the provenance, and otherwise the description itself.
+
+async function proposeSpellingCorrections(database, options, fileName) {
+    let rows = await scraper.getDescriptions(database);
+    let provenances = (await scraper.getProvenance(database)).filter(provenance => provenance.field === "description" && provenance.raw_text !== null);
+    let rawTexts = new Map(provenances.map(provenance => [ provenance.council_reference, provenance.raw_text ]));
+    let descriptions = rows.map(row => row.description);
+    let vocabulary = scraper.createVocabulary(scraper.getWordLists(options), descriptions);
+    let proposals = scraper.proposeSpellingCorrections(rows.map(row => rawTexts.has(row.council_reference) ? rawTexts.get(row.council_reference) : row.description), vocabulary, options.spellingCorrections);
+
+    for (let proposal of proposals)
+        console.log(`${proposal.misspelling} -> ${proposal.correction} (edit distance ${proposal.distance}, ${Math.round(proposal.confidence)}% confidence, ${proposal.occurrences} occurrence(s))`);
+    fs.writeFileSync(fileName, scraper.formatSpellingCorrections(proposals));
+    console.log(`Wrote ${proposals.length} proposed spelling correction(s) to ${fileName} (from ${rows.length} description(s)).  Delete the lines of any incorrect proposals and then run with --accept-spelling-corrections ${fileName}.`);
+}
 
-            if (darkCount >= image.width - 2 * ColumnGap && previousColors !== null) {
-                // Find the most common colour on the immediately previous line.
+// Lists the saved watches.
 
-                let previousColor = null;
-                for (let color in previousColors)
-                    if (previousColor === null || previousColors[color] > previousColors[previousColor])
-                        previousColor = color;
+async function listWatches(database) {
+    let watches = await scraper.getWatches(database);
+    for (let watch of watches)
+        console.log(`${watch.id}  ${watch.type} "${watch.value}" notifies ${watch.notify} (added ${watch.date_added})`);
+    console.log(`There are ${watches.length} saved watch(es).`);
+}
 
-                // Set the entire line to the most common colour of the immediately previous line.
+// Parses the local PDF files (if requested) or otherwise the PDFs linked from the development
+// register of the council.
 
-                previousColor = Number(previousColor);
-                for (let x = 0; x < image.width; x++)
-                    jimpImage.setPixelColor(previousColor, x, y);
-            }
+async function parsePdfs(council, database, sink, options, args) {
+    // Parse local PDF files (if requested) instead of retrieving PDFs from the web site.
 
-            previousColors = colors;
-        }
+    if (args.localPath !== undefined) {
+        await scraper.parseLocalPdfs(sink, args.localPath, args.sourceUrl, options);
+        return;
+    }
 
-        // Grab a section of the image (this minimises memory usage) and upscale the section of
-        // the image (because this significantly improves the OCR results, but also significantly
-        // increases memory usage).
+    // Retrieve the links to the development application PDFs.
 
-        jimpImage.crop(0, sectionY, image.width, sectionHeight).scale(scaleFactor, jimp.RESIZE_BEZIER);
-        let imageBuffer = await (new Promise((resolve, reject) => jimpImage.getBuffer(jimp.MIME_PNG, (error, buffer) => resolve(buffer))));
+    let pdfLinks = await scraper.fetchPdfLinks(council);
+    if (pdfLinks.length === 0) {
+        console.log("No PDFs were found.");
+        return;
+    }
 
-        // Perform OCR on the image (this is extremely memory and CPU intensive).
+    // Record the PDFs in the ledger of documents, check whether any completely parsed documents
+    // have changed and then parse those documents that have not yet been completely parsed (do
+    // not parse all PDFs in a single run because this would take too long: OCR is extremely
+    // memory and CPU intensive).
 
-        let result = await new Promise((resolve, reject) => { tesseract.recognize(imageBuffer).then(function(result) { resolve(result); }) });
+    await scraper.updateDocuments(database, pdfLinks);
+    await scraper.recheckDocuments(database);
+    await scraper.parseDocuments(database, sink, options, args.timeBudget, args.pageBudget);
+}
 
-        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the current
-        // process being terminated by morph.io).
+// Parses the development applications from the PDFs on the page.
 
-        tesseract.terminate();
-        if (global.gc)
-            global.gc();
+async function main() {
+    let args = parseArguments(process.argv.slice(2));
+    suppressTesseractMessages();
 
-        // Simplify the lines (remove most of the information generated by tesseract.js).
+    // Inspect or clear the OCR cache (if requested) instead of parsing any PDFs.
 
-        if (result.blocks && result.blocks.length)
-            for (let block of result.blocks)
-                for (let paragraph of block.paragraphs)
-                    for (let line of paragraph.lines)
-                        lines.push(line.words.map(word => { return { text: word.text, confidence: word.confidence, choices: word.choices.length, bounds: { x: word.bbox.x0, y: sectionY * scaleFactor + word.bbox.y0, width: word.bbox.x1 - word.bbox.x0, height: word.bbox.y1 - word.bbox.y0 } }; }));
+    if (args.isListOcrCache) {
+        listOcrCache();
+        return;
     }
 
-    // Analyse the lines of words to extract development application details.  Each word in a line
-    // includes a confidence percentage and a bounding box.
-
-    return parseLines(pdfUrl, lines, scaleFactor);
-}
-
-// Parses the text from a PDF file.
-
-async function parseText(page, pdfUrl) {
-    let textContent = await page.getTextContent();
-    let viewport = await page.getViewport(1.0);
+    if (args.isClearOcrCache) {
+        console.log(`Removed ${scraper.clearCache(OcrCacheDirectory)} image(s) from the OCR cache (${OcrCacheDirectory}).`);
+        return;
+    }
 
-    let elements = textContent.items.map(item => {
-        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+    // Read the profile of the council and the files containing all possible suburb and street
+    // names and the spelling corrections for that council (these are used later when correcting
+    // OCR text).
 
-        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-        // exaggerated).  The problem seems to be that the height value is too large in some
-        // PDFs.  Provide an alternative, more accurate height value by using a calculation
-        // based on the transform matrix.
+    let council = scraper.findCouncil(scraper.readCouncils(CouncilsFileName), args.councilName);
+    console.log(`Parsing the development applications of the ${council.title || council.name} (writing to ${council.databaseFileName}).`);
 
-        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
-        return { text: item.str, confidence: 100, choices: 1, bounds: { x: transform[4], y: transform[5], width: item.width, height: workaroundHeight } };
+    let options = Object.assign(scraper.readCouncilOptions(council), {
+        linesRecordingDirectory: args.linesRecordingDirectory,
+        debugDirectory: args.debugDirectory,
+        ocrWorkerCount: args.ocrWorkerCount,
+        ocrMemoryLimit: args.ocrMemoryLimit,
+        ocrCacheDirectory: args.isOcrCacheUsed ? OcrCacheDirectory : null
     });
+    if (args.preprocessingSteps !== undefined)
+        options.preprocessing = scraper.toPreprocessingSettings(args.preprocessingSteps);
+    if (args.fuzzySpellingConfidence !== undefined)
+        options.fuzzySpellingConfidence = args.fuzzySpellingConfidence;
 
-    // Sort the elements by Y co-ordinate and then by X co-ordinate.
-
-    let elementComparer = (a, b) => (a.bounds.y > b.bounds.y) ? 1 : ((a.bounds.y < b.bounds.y) ? -1 : ((a.bounds.x > b.bounds.x) ? 1 : ((a.bounds.x < b.bounds.x) ? -1 : 0)));
-    elements.sort(elementComparer);
-
-    // Group the elements by line.
-
-    let averageElementHeight = elements.reduce((total, element) => total + element.bounds.height, 0) / Math.max(1, elements.length);
-    
-    let lines = [];
-    let line = [];
-    let y = Number.MIN_VALUE;
-    
-    for (let element of elements) {
-        if (element.bounds.y > y + averageElementHeight / 2) {
-            line = [element];
-            lines.push(line);
-            y = element.bounds.y;
-        } else {
-            line.push(element);
-        }
-    }
-
-    // Analyse the lines of words to extract development application details.
+    // Add reviewed spelling corrections (if requested) instead of parsing any PDFs.
 
-    return parseLines(pdfUrl, lines, 1);
-}
+    if (args.reviewedFileName !== undefined) {
+        let count = scraper.acceptSpellingCorrections(args.reviewedFileName, council.spellingCorrectionsFile);
+        console.log(`Added ${count} spelling correction(s) to ${council.spellingCorrectionsFile}.`);
+        return;
+    }
 
-// Parses a single PDF file.
+    // Compare the pre-processing steps (if requested) without creating or writing to the
+    // database.
 
-async function parsePdf(database, pdfUrl, pdf, scaleFactor) {
-    let imageCount = 0;
-    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
-        console.log(`Examining text on page ${pageNumber} of ${pdf.numPages} in the PDF.`);
-        let page = await pdf.getPage(pageNumber);
+    if (args.isComparePreprocessing) {
+        await comparePreprocessing(args.localPath, args.sourceUrl, options);
+        return;
+    }
 
-        // Find and parse any text in the PDF.
+    // Perform a dry run (if requested) without creating or writing to the database.
 
-        let developmentApplications = await parseText(page, pdfUrl);
+    if (args.isDryRun) {
+        let documents = (args.localPath !== undefined) ? scraper.findLocalPdfs(args.localPath, args.sourceUrl) : (await scraper.fetchPdfLinks(council)).map(pdfLink => { return { url: pdfLink.url }; });
+        await dryRun(council, documents, options, args.jsonFileName);
+        return;
+    }
 
-        // Insert the resulting development applications into the database.
+    // Ensure that the database exists.
 
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+    let database = await scraper.initializeDatabase(council.databaseFileName);
+    let sink = scraper.createDatabaseSink(database);
 
-        // Find and parse any images in the PDF.
+    // List the documents (if requested) instead of parsing any PDFs.
 
-        console.log(`Examining images on page ${pageNumber} of ${pdf.numPages} in the PDF.`);
+    if (args.isListDocuments) {
+        await listDocuments(database);
+        return;
+    }
 
-        let operators = await page.getOperatorList();
-        for (let index = 0; index < operators.fnArray.length; index++) {
-            if (operators.fnArray[index] === pdfjs.OPS.paintImageXObject) {
-                // Parse an image in the PDF.
+    // List the statistics of the most recent runs (if requested) instead of parsing any PDFs.
 
-                let operator = operators.argsArray[index][0];
-                let image = page.objs.get(operator);
-                imageCount++;
-                console.log(`Examining image ${imageCount} having dimensions ${image.width} by ${image.height}.`);
-                let developmentApplications = await parseImage(pdfUrl, image, scaleFactor);
+    if (args.isListRuns) {
+        await listRuns(database);
+        return;
+    }
 
-                // Insert the resulting development applications into the database.
+    // List the manual corrections that can be retired (if requested) instead of parsing any PDFs.
 
-                for (let developmentApplication of developmentApplications)
-                    await insertRow(database, developmentApplication);
-            }
-        }
+    if (args.isListStaleCorrections) {
+        await listStaleCorrections(database, options.corrections);
+        return;
     }
-}
 
-// Gets a random integer in the specified range: [minimum, maximum).
+    // Propose spelling corrections (if requested) instead of parsing any PDFs.
 
-function getRandom(minimum, maximum) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
-}
+    if (args.proposalsFileName !== undefined) {
+        await proposeSpellingCorrections(database, options, args.proposalsFileName);
+        return;
+    }
 
-// Parses the development applications from the PDFs on the page.
+    // Recognise the words that appear frequently in the descriptions already in the database when
+    // correcting unrecognised words.
 
-async function main() {
-    // Ensure that the database exists.
+    if (options.fuzzySpellingConfidence !== undefined)
+        options.vocabulary = scraper.createVocabulary(scraper.getWordLists(options), (await scraper.getDescriptions(database)).map(row => row.description));
 
-    let database = await initializeDatabase();
+    // Add, list or remove saved watches (if requested) instead of parsing any PDFs.
 
-    // Read the files containing all possible suburb and street names (these are used later when
-    // correcting OCR text).
+    if (args.watchType !== undefined) {
+        let watch = scraper.createWatch(args.watchType, args.watchValue, args.notify, options);
+        let id = await scraper.addWatch(database, watch.type, watch.value, watch.notify);
+        console.log(`Added watch ${id}: ${watch.type} "${watch.value}" notifies ${watch.notify}.`);
+        return;
+    }
 
-    AllStreetNames = fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n");
-    AllSuburbNames = fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n");
+    if (args.isListWatches) {
+        await listWatches(database);
+        return;
+    }
 
-    // Read the file containing spelling corrections for the description text.
+    if (args.removedWatchId !== undefined) {
+        let isRemoved = await scraper.removeWatch(database, args.removedWatchId);
+        console.log(isRemoved ? `Removed watch ${args.removedWatchId}.` : `There is no watch ${args.removedWatchId}.`);
+        return;
+    }
 
-    SpellingCorrections = {};
-    for (let correction of fs.readFileSync("words.txt").toString().replace(/\r/g, "").trim().split("\n"))
-        SpellingCorrections[correction.split(",")[0]] = correction.split(",")[1];
-        
-    // Retrieve the page containing the links to the development application PDFs.
+    // Report changes between runs (if requested) instead of parsing any PDFs.
 
-    console.log(`Retrieving page: ${DevelopmentApplicationsUrl}`);
-    let body = await request(DevelopmentApplicationsUrl);
-    let $ = cheerio.load(body);
+    if (args.isReportChanges) {
+        await reportChanges(database, args.sinceDate);
+        return;
+    }
 
-    let pdfUrls = [];
-    let linkElements = $("h3.generic-list__title a").get();
+    // Serve the development applications over HTTP (if requested) instead of parsing any PDFs.
+    // This continues until the process is stopped.
 
-    if (linkElements.length === 0) {
-        console.log("No PDFs were found.");
+    if (args.isServe) {
+        let server = scraper.createServer(database);
+        await new Promise((resolve, reject) => server.listen(args.port, resolve).on("error", reject));
+        console.log(`Serving the development applications at http://localhost:${server.address().port}/applications`);
+        await new Promise(resolve => server.on("close", resolve));
         return;
     }
 
-    // Remove duplicate URLs.
+    // Classify the existing development applications (if requested) instead of parsing any PDFs.
 
-    for (let linkElement of linkElements) {
-        let pdfUrl = new urlparser.URL(linkElement.attribs.href, DevelopmentApplicationsUrl).href;
-        if (pdfUrl.toLowerCase().includes(".pdf"))
-            if (!pdfUrls.some(url => url === pdfUrl))  // ignore duplicates
-                pdfUrls.push(pdfUrl);
+    if (args.isClassify) {
+        await classifyAll(database);
+        return;
     }
 
-    // Parse the most recent PDF and one other randomly selected PDF (do not parse all PDFs
-    // because this would take too long: OCR is extremely memory and CPU intensive).
+    // Parse the PDFs, recording the statistics of the run (even if the run fails part way).
 
-    let twoPdfUrls = [];
-    if (pdfUrls.length === 1)
-        twoPdfUrls = [ pdfUrls[0] ];
-    else if (pdfUrls.length >= 2) {
-        if (moment().second() % 2 === 0)
-            twoPdfUrls = [ pdfUrls[0], pdfUrls[getRandom(1, pdfUrls.length)] ];
-        else
-            twoPdfUrls = [ pdfUrls[getRandom(1, pdfUrls.length)], pdfUrls[0] ];
+    options.statistics = scraper.createStatistics();
+    try {
+        await parsePdfs(council, database, sink, options, args);
+    } finally {
+        console.log(scraper.formatStatistics(options.statistics));
+        await scraper.insertRun(database, options.statistics);
     }
 
-    console.log("Selected the following documents to parse:");
-    for (let pdfUrl of twoPdfUrls)
-        console.log(`    ${pdfUrl}`);
-
-    for (let pdfUrl of twoPdfUrls) {
-        // Read the PDF containing an image of several development applications.  Note that setting
-        // disableFontFace to true avoids a "document is not defined" exception that is otherwise
-        // thrown in fontLoaderInsertRule.
+    // Send the alerts queued during this run (and retry any that could not be sent in an earlier
+    // run).
 
-        console.log(`Retrieving document: ${pdfUrl}`);
-        let pdf = await pdfjs.getDocument({ url: pdfUrl, disableFontFace: true });
-        await parsePdf(database, pdfUrl, pdf, ScaleFactor);  // this inserts development applications into the database
-    }
+    await scraper.sendPendingAlerts(database, getAlertOptions());
 }
 
 main().then(() => console.log("Complete.")).catch(error => console.error(error));
@@ -0,0 +1,1179 @@
+// Tests the parsing of development applications using recorded lines of words and sample PDF
+// files (see the fixtures directory).  Each fixture has a corresponding ".expected.json" file.
+// After an intentional change to parsing, review the reported differences and then update the
+// expected results by running:
+//
+//     npm test -- --update
+
+"use strict";
+
+let fs = require("fs");
+let os = require("os");
+let net = require("net");
+let crypto = require("crypto");
+let http = require("http");
+let path = require("path");
+let urlparser = require("url");
+let assert = require("assert");
+let pdfjs = require("pdfjs-dist");
+
+let scraper = require("../lib");
+
+const LinesDirectory = path.join(__dirname, "fixtures", "lines");
+const PdfsDirectory = path.join(__dirname, "fixtures", "pdfs");
+const IsUpdate = process.argv.includes("--update");
+
+// The fields of a development application that are compared (the scrape date changes every day
+// and so is not compared).
+
+const ComparedFields = [ "applicationNumberComponents", "address", "addressComponents", "description", "developmentTypes", "receivedDate", "informationUrl", "commentUrl", "warnings" ];
+
+let tests = [];
+
+function test(name, callback) {
+    tests.push({ name: name, callback: callback });
+}
+
+// Simplifies development applications so that they can be compared with (or saved as) expected
+// results.
+
+function simplify(developmentApplications) {
+    return developmentApplications.map(developmentApplication => {
+        let simplified = { applicationNumber: developmentApplication.applicationNumber };
+        for (let field of ComparedFields)
+            simplified[field] = developmentApplication[field];
+        return simplified;
+    });
+}
+
+// Describes the differences between the expected and actual development applications: which
+// applications were gained, which were lost and which fields of the remaining applications
+// changed.
+
+function describeDifferences(expected, actual) {
+    let differences = [];
+
+    for (let actualApplication of actual)
+        if (!expected.some(expectedApplication => expectedApplication.applicationNumber === actualApplication.applicationNumber))
+            differences.push(`    + gained ${actualApplication.applicationNumber}: ${JSON.stringify(actualApplication)}`);
+
+    for (let expectedApplication of expected) {
+        let actualApplication = actual.find(actualApplication => actualApplication.applicationNumber === expectedApplication.applicationNumber);
+        if (actualApplication === undefined) {
+            differences.push(`    - lost ${expectedApplication.applicationNumber}: ${JSON.stringify(expectedApplication)}`);
+            continue;
+        }
+        for (let field of ComparedFields)
+            if (JSON.stringify(actualApplication[field]) !== JSON.stringify(expectedApplication[field]))
+                differences.push(`    ~ changed ${expectedApplication.applicationNumber} ${field}: ${JSON.stringify(expectedApplication[field])} -> ${JSON.stringify(actualApplication[field])}`);
+    }
+
+    return differences;
+}
+
+// Compares actual results with the expected results stored in a ".expected.json" file (or
+// writes the ".expected.json" file when the --update argument is given).  A missing
+// ".expected.json" file is a failure (so that a deleted or uncommitted file cannot pass silently).
+
+function checkExpected(expectedFileName, actual) {
+    if (IsUpdate) {
+        fs.writeFileSync(expectedFileName, JSON.stringify(actual, null, 4) + "\n");
+        process.stdout.write(`    Updated ${path.relative(process.cwd(), expectedFileName)}\n`);
+        return;
+    }
+    if (!fs.existsSync(expectedFileName))
+        throw new Error(`Missing expected file ${path.relative(process.cwd(), expectedFileName)} (run "npm test -- --update" to create it).`);
+
+    let expected = JSON.parse(fs.readFileSync(expectedFileName).toString());
+    if (expected.layout !== undefined)
+        assert.strictEqual(actual.layout, expected.layout, "The layout chosen by findLayout changed.");
+    if (expected.columns !== undefined)
+        assert.deepStrictEqual(actual.columns, expected.columns, "The columns found by findLayout changed.");
+
+    let differences = describeDifferences(expected.developmentApplications, actual.developmentApplications);
+    if (differences.length > 0)
+        throw new Error(`The development applications changed:\n${differences.join("\n")}`);
+}
+
+const Options = Object.assign(scraper.readCorrectionData(path.join(__dirname, "..")), { commentUrl: "mailto:admin@prospect.sa.gov.au" });
+
+test("formatDescription corrects common misspellings", () => {
+    assert.strictEqual(scraper.formatDescription("Demolition of Existinq Dwellinq", Options), "Demolition of Existing Dwelling");
+    assert.strictEqual(scraper.formatDescription("CarportNerandah", Options), "Carport/Verandah");
+    assert.strictEqual(scraper.formatDescription("Two Storey Dwelling (2 of)", Options), "Two Storey Dwelling (2 of)");
+    assert.strictEqual(scraper.formatDescription("Deﬁned Area", Options), "Defined Area");
+});
+
+test("proposeSpellingCorrections mines misreadings and formatDescription optionally corrects them", () => {
+    let descriptions = [ "Garaqe and Verandah", "Two Storey Dwellinq", "Garaqe", "Installation of Solar Panels", "Kiosk", "Bollards", "Bollards", "Bollards", "Bolards" ];
+    let vocabulary = scraper.createVocabulary(scraper.getWordLists(Options), descriptions);
+    assert.ok(vocabulary.has("bollards"));  // frequent in the descriptions
+    let proposals = scraper.proposeSpellingCorrections(descriptions, vocabulary, Options.spellingCorrections);
+    assert.deepStrictEqual(proposals.map(proposal => `${proposal.misspelling},${proposal.correction},${proposal.occurrences}`), [ "Garaqe,Garage,2", "Bolards,Bollards,1" ]);  // "Dwellinq" is already in words.txt
+
+    assert.strictEqual(scraper.formatDescription("Garaqe and Pergoia", Options), "Garaqe and Pergoia");
+    assert.strictEqual(scraper.formatDescription("Garaqe and Pergoia", Object.assign({}, Options, { fuzzySpellingConfidence: 80 })), "Garage and Pergola");
+    assert.strictEqual(scraper.formatDescription("Garaqe and Pergoia", Object.assign({}, Options, { fuzzySpellingConfidence: 90 })), "Garaqe and Pergoia");
+
+    let wordsFileName = path.join(os.tmpdir(), `words-${process.pid}.txt`);
+    let reviewedFileName = path.join(os.tmpdir(), `reviewed-${process.pid}.txt`);
+    fs.writeFileSync(wordsFileName, "Existinq,Existing\n");
+    fs.writeFileSync(reviewedFileName, scraper.formatSpellingCorrections(proposals) + "Existinq,Exciting\n");
+    try {
+        assert.strictEqual(scraper.acceptSpellingCorrections(reviewedFileName, wordsFileName), 2);
+        assert.strictEqual(fs.readFileSync(wordsFileName).toString(), "Existinq,Existing\nGaraqe,Garage\nBolards,Bollards\n");
+    } finally {
+        fs.unlinkSync(wordsFileName);
+        fs.unlinkSync(reviewedFileName);
+    }
+});
+
+test("formatAddress corrects street and suburb names", () => {
+    let formattedAddress = scraper.formatAddress("12 Main Nort Road PROSPECT SA 5082", Options);
+    assert.strictEqual(formattedAddress.text, "12 Main North Road PROSPECT SA 5082");
+    assert.strictEqual(formattedAddress.hasRecognizedStreet, true);
+    assert.strictEqual(formattedAddress.hasRecognizedSuburb, true);
+
+    assert.strictEqual(scraper.formatAddress("4 Airlie Avenue MEDINDIE GARDE NS SA 5081", Options).text, "4 Airlie Avenue MEDINDIE GARDENS SA 5081");
+    assert.strictEqual(scraper.formatAddress("6 King Street FIT ZROY SA 5082", Options).text, "6 King Street FITZROY SA 5082");
+});
+
+test("formatAddress returns the components of the address", () => {
+    assert.deepStrictEqual(scraper.formatAddress("2/121 - 130A Main North Road MEDINDIE GARDENS SA 5081", Options).components, {
+        unit: "2", streetNumber: "121-130A", streetName: "Main North", streetType: "Road", suburb: "MEDINDIE GARDENS", postcode: "5081"
+    });
+    assert.deepStrictEqual(scraper.formatAddress("Irish Harp Lane East PROSPECT SA 5082", Options).components, {
+        unit: null, streetNumber: null, streetName: "Irish Harp", streetType: "Lane East", suburb: "PROSPECT", postcode: "5082"
+    });
+});
+
+test("formatAddress uses the gazetteer to choose between equally close streets and to warn about inconsistent addresses", () => {
+    let options = Object.assign({}, Options, {
+        gazetteer: scraper.createGazetteer(Options.suburbNames, Options.streetNames, {
+            streets: {
+                "May Street": { suburbs: [ "FITZROY" ] },
+                "Maud Street": { suburbs: [ "PROSPECT" ] },
+                "King Street": { suburbs: [ "PROSPECT", "FITZROY" ], numbers: { "FITZROY": [ [ 1, 40 ] ] } }
+            }
+        })
+    });
+
+    // "Main Street" is equally close to several streets.
+
+    assert.strictEqual(scraper.formatAddress("5 Main Street PROSPECT SA 5082", Options).text, "5 Erin Street PROSPECT SA 5082");
+    assert.strictEqual(scraper.formatAddress("5 Main Street PROSPECT SA 5082", options).text, "5 Maud Street PROSPECT SA 5082");
+    assert.strictEqual(scraper.formatAddress("5 Main Street FITZROY SA 5082", options).text, "5 May Street FITZROY SA 5082");
+
+    assert.deepStrictEqual(scraper.formatAddress("6 King Street FITZROY SA 5082", options).warnings, []);
+    assert.deepStrictEqual(scraper.formatAddress("6 King Street FITZROY SA 5083", options).warnings, [ "The postcode 5083 of the address does not match the postcode 5082 of FITZROY." ]);
+    assert.deepStrictEqual(scraper.formatAddress("6 May Street PROSPECT SA 5082", options).warnings, [ "May Street is not known to run through PROSPECT." ]);
+    assert.deepStrictEqual(scraper.formatAddress("60 King Street FITZROY SA 5082", options).warnings, [ "The street number 60 is outside the known numbers of King Street in FITZROY." ]);
+    assert.throws(() => scraper.createGazetteer(Options.suburbNames, Options.streetNames, { streets: { "Nowhere Street": { suburbs: [ "PROSPECT" ] } } }), /not in the street names/);
+
+    // The bundled gazetteer (see gazetteer.json) has no streets yet, so only the postcodes (from
+    // suburbnames.txt) are checked.
+
+    assert.deepStrictEqual(scraper.formatAddress("12 Main North Road PROSPECT SA 5082", Options).warnings, []);
+    assert.deepStrictEqual(scraper.formatAddress("12 Main North Road THORNGATE SA 5082", Options).warnings, []);
+    assert.deepStrictEqual(scraper.formatAddress("12 Main North Road PROSPECT SA 5083", Options).warnings, [ "The postcode 5083 of the address does not match the postcode 5082 of PROSPECT." ]);
+});
+
+test("parseApplicationNumber corrects OCR confusions and splits the application number", () => {
+    assert.deepStrictEqual(scraper.parseApplicationNumber("060/331/2018"), { text: "060/331/2018", councilCode: "060", sequenceNumber: "331", year: 2018 });
+    assert.strictEqual(scraper.parseApplicationNumber("06O/33l/2O18").text, "060/331/2018");
+    assert.strictEqual(scraper.parseApplicationNumber("060/33S/2018").text, "060/335/2018");
+    assert.strictEqual(scraper.parseApplicationNumber("060331/2018").text, "060/331/2018");
+    assert.strictEqual(scraper.parseApplicationNumber("060/331/201"), null);
+    assert.strictEqual(scraper.parseApplicationNumber("Application"), null);
+    assert.strictEqual(scraper.correctApplicationNumber("O6O/33"), "O6O/33");
+    assert.strictEqual(scraper.isNearApplicationNumber("060/331/2018", "060/381/2018"), true);
+    assert.strictEqual(scraper.isNearApplicationNumber("060/331/2018", "060/381/2017"), false);
+});
+
+test("classifyDescription tags development types and counts", () => {
+    assert.deepStrictEqual(scraper.classifyDescription("Demolition of Existing Dwelling and Construction of Two Dwellings"), [
+        { category: "new dwelling", count: 2 },
+        { category: "demolition", count: null }
+    ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Two Storey Dwelling"), [ { category: "new dwelling", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Alterations and Additions to Existing Dwelling"), [ { category: "alterations/additions", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Construction of a Dwelling"), [ { category: "new dwelling", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Construction of Dwelling"), [ { category: "new dwelling", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Verandah at the Rear of the Dwelling"), [ { category: "carport/verandah", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Land Division (1 into 2)"), [ { category: "land division", count: 2 } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Carport/Verandah"), [ { category: "carport/verandah", count: null } ]);
+    assert.deepStrictEqual(scraper.classifyDescription("Internal Works"), [ { category: "other", count: null } ]);
+});
+
+test("findColumns finds the expected number of columns from the gaps between columns", () => {
+    let fixture = JSON.parse(fs.readFileSync(path.join(LinesDirectory, "prospect-without-applicant.json")).toString());
+    assert.strictEqual(scraper.findColumns(fixture.lines, fixture.scaleFactor, 5), null);
+    assert.deepStrictEqual(scraper.findColumns(fixture.lines, fixture.scaleFactor, 4).map(column => column.x), [ 40, 110, 200, 450 ]);
+});
+
+test("formatAddress rejects unrecognised suburbs", () => {
+    let formattedAddress = scraper.formatAddress("21 Elm Street SMITHFIELD SA 5114", Options);
+    assert.strictEqual(formattedAddress.hasRecognizedSuburb, false);
+    assert.strictEqual(formattedAddress.text, "21 Elm Street SMITHFIELD SA 5114");
+});
+
+test("mergeRows prefers two slashes and then higher confidence", () => {
+    let createRow = (applicationNumber, confidence) => [
+        { field: "receivedDate", text: "29/06/2018", confidence: 90 },
+        { field: "applicationNumber", text: applicationNumber, confidence: confidence },
+        { field: "description", text: "Carport", confidence: confidence }
+    ];
+    let mergedRow = scraper.mergeRows([ createRow("060/331/2018", 80), createRow("060331/2018", 95), createRow("060/331/2O18", 85) ]);
+    assert.strictEqual(mergedRow[1].text, "060/331/2O18");
+    assert.strictEqual(mergedRow[1].confidence, 85);
+    assert.strictEqual(mergedRow[2].confidence, 95);
+});
+
+test("removeHorizontalLines replaces black lines with the colour of the previous line", () => {
+    let width = 40;
+    let data = new Uint8Array(width * 4 * 3).fill(255);
+    data.fill(0, width * 3, width * 3 * 2);  // the second line is black
+    data.fill(0, width * 3 * 2, width * 3 * 2 + 3 * 3);  // the third line has three black pixels
+    let bitmap = scraper.removeHorizontalLines(scraper.convertImage({ width: width, height: 4, data: data }));
+    assert.strictEqual(bitmap.data.readUInt32BE(width * 4 * 1 + 20), 0xffffffff);
+    assert.strictEqual(bitmap.data.readUInt32BE(width * 4 * 2), 0x000000ff);
+    assert.strictEqual(bitmap.data.readUInt32BE(width * 4 * 3), 0xffffffff);
+});
+
+// Creates a white RGB image (in the format of an image from a PDF file) in which the pixels for
+// which isInk returns true are black.
+
+function createImage(width, height, isInk) {
+    let data = new Uint8Array(width * height * 3).fill(255);
+    for (let y = 0; y < height; y++)
+        for (let x = 0; x < width; x++)
+            if (isInk(x, y))
+                data.fill(0, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    return { width: width, height: height, data: data };
+}
+
+test("the pre-processing steps deskew, remove rules and specks and can be switched on or off", () => {
+    let isPixelInk = (bitmap, x, y) => bitmap.data.readUInt32BE((y * bitmap.width + x) * 4) === 0x000000ff;
+
+    // Five lines of "text" sloping down to the right by two degrees.
+
+    let slope = Math.tan(2 * Math.PI / 180);
+    let skewedBitmap = scraper.convertImage(createImage(400, 200, (x, y) => x >= 50 && x < 350 && [ 40, 70, 100, 130, 160 ].some(lineY => Math.abs(y - (lineY + (x - 200) * slope)) < 2 && x % 10 < 7)));
+    assert.ok(Math.abs(scraper.detectSkew(skewedBitmap) - 2) <= 0.2);
+    assert.ok(Math.abs(scraper.detectSkew(scraper.deskew(skewedBitmap))) <= 0.2);
+
+    // A vertical rule (100 pixels tall) and a character stroke (10 pixels tall).
+
+    let ruledBitmap = scraper.removeVerticalLines(scraper.convertImage(createImage(60, 120, (x, y) => (x === 30 && y >= 10 && y < 110) || (x === 10 && y >= 5 && y < 15))));
+    assert.ok(!isPixelInk(ruledBitmap, 30, 50));
+    assert.ok(isPixelInk(ruledBitmap, 10, 10));
+
+    // A single speck, a three by three block (such as a full stop) and a five pixel stroke (whose
+    // ends must not be mistaken for specks).
+
+    let speckledBitmap = scraper.despeckle(scraper.convertImage(createImage(20, 20, (x, y) => (x === 3 && y === 3) || (x >= 10 && x < 13 && y >= 10 && y < 13) || (y === 16 && x >= 2 && x < 7))));
+    assert.ok(!isPixelInk(speckledBitmap, 3, 3));
+    assert.ok(isPixelInk(speckledBitmap, 11, 11));
+    for (let x = 2; x < 7; x++)
+        assert.ok(isPixelInk(speckledBitmap, x, 16));
+
+    // Low contrast text (light grey on a slightly lighter background).
+
+    let image = createImage(60, 60, () => false);
+    for (let y = 0; y < 60; y++)
+        for (let x = 0; x < 60; x++)
+            image.data.fill((x >= 20 && x < 40 && y >= 28 && y < 32) ? 150 : 200, (y * 60 + x) * 3, (y * 60 + x) * 3 + 3);
+    let thresholdedBitmap = scraper.threshold(scraper.convertImage(image));
+    assert.ok(isPixelInk(thresholdedBitmap, 30, 30));
+    assert.ok(!isPixelInk(thresholdedBitmap, 5, 5));
+
+    assert.deepStrictEqual(scraper.getPreprocessingSteps(), [ "horizontalLines" ]);
+    assert.deepStrictEqual(scraper.getPreprocessingSteps({ deskew: true, horizontalLines: false, despeckle: true }), [ "deskew", "despeckle" ]);
+    assert.deepStrictEqual(scraper.getPreprocessingSteps(scraper.toPreprocessingSettings([ "verticalLines" ])), [ "verticalLines" ]);
+    assert.throws(() => scraper.getPreprocessingSteps({ sharpen: true }), /Unknown pre-processing step "sharpen"/);
+});
+
+test("comparePreprocessing parses a document once with the configured steps and once with each step switched", async () => {
+    let pdfUrl = "https://www.prospect.sa.gov.au/prospect-text.pdf";
+    let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(path.join(PdfsDirectory, "prospect-text.pdf"))), disableFontFace: true });
+    let results = await scraper.comparePreprocessing(pdfUrl, pdf, Object.assign({}, Options, { preprocessing: { despeckle: true } }));
+    assert.deepStrictEqual(results.map(result => `${result.name}: ${result.steps.join(", ")}`), [
+        "configured: horizontalLines, despeckle",
+        "with deskew: deskew, horizontalLines, despeckle",
+        "with threshold: threshold, horizontalLines, despeckle",
+        "without horizontalLines: despeckle",
+        "with verticalLines: horizontalLines, verticalLines, despeckle",
+        "without despeckle: horizontalLines"
+    ]);
+    assert.ok(results.every(result => result.applicationCount === 3 && result.rowsSeen === 3 && result.rowsAccepted === 3 && result.averageConfidence === 100));
+    assert.strictEqual(scraper.formatComparison(results).split("\n")[3].replace(/[0-9]+ second/, "0 second"), "without horizontalLines: 3 application(s) (+0), 3 of 3 row(s) accepted, 100.0% average confidence, 0 second(s)");
+});
+
+test("getWorkerCount limits the number of OCR workers by the memory limit", () => {
+    assert.strictEqual(scraper.getWorkerCount({ ocrWorkerCount: 4, ocrMemoryLimit: 512 }), 1);
+    assert.strictEqual(scraper.getWorkerCount({ ocrWorkerCount: 4, ocrMemoryLimit: 100000 }), 4);
+    assert.strictEqual(scraper.getWorkerCount({ ocrWorkerCount: 2, ocrMemoryLimit: 100000 }), 2);
+});
+
+test("parseImage caches OCR results by the content of the image", async () => {
+    let parentDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "ocr-cache-"));
+    let directory = path.join(parentDirectory, "nested", "cache");  // does not exist yet
+    try {
+        let recognitionCount = 0;
+        let ocrPool = {
+            workerCount: 2,
+            recognize: async () => {
+                recognitionCount++;
+                return { blocks: [] };
+            },
+            terminate: () => {}
+        };
+        let image = { width: 20, height: 12, data: new Uint8Array(20 * 12 * 3).fill(255) };
+        let options = Object.assign({}, Options, { ocrPool: ocrPool, ocrCacheDirectory: directory });
+
+        await scraper.parseImage("https://www.prospect.sa.gov.au/a.pdf", image, 1, 1, options);
+        assert.strictEqual(recognitionCount, 3);  // sections at 0, 5 and 10 pixels
+        await scraper.parseImage("https://www.prospect.sa.gov.au/b.pdf", image, 2, 1, options);
+        assert.strictEqual(recognitionCount, 3);
+
+        let entries = scraper.listCache(directory);
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].pdfUrl, "https://www.prospect.sa.gov.au/a.pdf");
+
+        image.data[0] = 0;
+        await scraper.parseImage("https://www.prospect.sa.gov.au/a.pdf", image, 1, 1, options);
+        assert.strictEqual(recognitionCount, 6);
+        assert.strictEqual(scraper.clearCache(directory), 2);
+        assert.strictEqual(scraper.listCache(directory).length, 0);
+    } finally {
+        scraper.clearCache(directory);
+        for (let emptyDirectory of [ directory, path.dirname(directory) ])
+            if (fs.existsSync(emptyDirectory))
+                fs.rmdirSync(emptyDirectory);
+        fs.rmdirSync(parentDirectory);
+    }
+});
+
+test("diffApplications reports new, changed and missing development applications", () => {
+    let pdfUrl = "https://www.prospect.sa.gov.au/a.pdf";
+    let existingRows = [
+        { council_reference: "060/331/2018", address: "12 Main North Road PROSPECT SA 5082", description: "Carport", info_url: pdfUrl, date_scraped: "2018-07-01", application_year: "2018" },
+        { council_reference: "060/332/2018", address: "4 Airlie Avenue MEDINDIE GARDENS SA 5081", description: "Verandah", info_url: pdfUrl, date_scraped: "2018-07-01" },
+        { council_reference: "060/300/2018", address: "7 Albert Street FITZROY SA 5082", description: "Outbuilding", info_url: "https://www.prospect.sa.gov.au/b.pdf" }
+    ];
+    let developmentApplications = [
+        { applicationNumber: "060/331/2018", address: "12 Main North Road PROSPECT SA 5082", description: "Carport/Verandah", informationUrl: pdfUrl, scrapeDate: "2018-08-01", applicationNumberComponents: { councilCode: "060", sequenceNumber: "331", year: 2018 } },
+        { applicationNumber: "060/333/2018", address: "6 King Street PROSPECT SA 5082", description: "Swimming Pool", informationUrl: pdfUrl, scrapeDate: "2018-08-01" }
+    ];
+
+    let report = scraper.diffApplications(existingRows, developmentApplications, [ pdfUrl ]);
+    assert.deepStrictEqual(report.new.map(row => row.council_reference), [ "060/333/2018" ]);
+    assert.deepStrictEqual(report.changed, [ { council_reference: "060/331/2018", changes: [ { column: "description", from: "Carport", to: "Carport/Verandah" } ] } ]);
+    assert.deepStrictEqual(report.missing.map(row => row.council_reference), [ "060/332/2018" ]);
+});
+
+test("readCouncils reads the council profiles and readCouncilOptions reads their files", () => {
+    let councils = scraper.readCouncils(path.join(__dirname, "..", "councils.json"));
+    let council = scraper.findCouncil(councils, "prospect");
+    assert.strictEqual(council.databaseFileName, "data.sqlite");
+    assert.throws(() => scraper.findCouncil(councils, "unknown"), /Unknown council "unknown"/);
+
+    let options = scraper.readCouncilOptions(council, path.join(__dirname, ".."));
+    assert.strictEqual(options.commentUrl, "mailto:admin@prospect.sa.gov.au");
+    assert.deepStrictEqual(options.suburbNames, Options.suburbNames);
+    assert.deepStrictEqual(options.layouts.map(layout => layout.name), Options.layouts.map(layout => layout.name));
+
+    let fileName = path.join(os.tmpdir(), `councils-${process.pid}.json`);
+    try {
+        fs.writeFileSync(fileName, JSON.stringify([ Object.assign({}, council, { name: "other", linkSelector: undefined }) ]));
+        assert.throws(() => scraper.readCouncils(fileName), /does not include the required "linkSelector" property/);
+        fs.writeFileSync(fileName, JSON.stringify([ Object.assign({}, council, { name: "other", databaseFileName: undefined }) ]));
+        assert.strictEqual(scraper.readCouncils(fileName)[0].databaseFileName, "other.sqlite");
+    } finally {
+        fs.unlinkSync(fileName);
+    }
+});
+
+// Performs an HTTP GET request, returning the status code, headers and body of the response.
+
+function get(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, response => {
+            let body = "";
+            response.setEncoding("utf8");
+            response.on("data", chunk => body += chunk);
+            response.on("end", () => resolve({ statusCode: response.statusCode, headers: response.headers, body: body }));
+        }).on("error", reject);
+    });
+}
+
+test("createServer filters, searches and pages the development applications", async () => {
+    let fileName = path.join(os.tmpdir(), `server-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    let server = scraper.createServer(database);
+    try {
+        let createApplication = (applicationNumber, address, description, receivedDate) => {
+            let formattedAddress = scraper.formatAddress(address, Options);
+            return { applicationNumber: applicationNumber, address: formattedAddress.text, addressComponents: formattedAddress.components, description: description, informationUrl: "https://www.prospect.sa.gov.au/a.pdf", commentUrl: Options.commentUrl, scrapeDate: "2018-08-01", receivedDate: receivedDate };
+        };
+        await scraper.insertRow(database, createApplication("060/331/2018", "12 Main North Road PROSPECT SA 5082", "Carport/Verandah", "2018-06-29"));
+        await scraper.insertRow(database, createApplication("060/332/2018", "4 Airlie Avenue MEDINDIE GARDENS SA 5081", "Demolition of Existing Dwelling", "2018-07-02"));
+        await scraper.insertRow(database, createApplication("060/333/2018", "7 Albert Street FITZROY SA 5082", "Two Storey Dwelling", "2018-07-03"));
+        await scraper.insertRow(database, createApplication("060/333/2018", "7 Albert Street FITZROY SA 5082", "Two Storey Dwellings", "2018-07-03"));
+
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        let baseUrl = `http://127.0.0.1:${server.address().port}`;
+        let query = async parameters => JSON.parse((await get(`${baseUrl}/applications?${parameters}`)).body);
+
+        let result = await query("");
+        assert.strictEqual(result.total, 3);
+        assert.deepStrictEqual(result.applications.map(application => application.council_reference), [ "060/333/2018", "060/332/2018", "060/331/2018" ]);
+        assert.deepStrictEqual((await query("suburb=prospect")).applications.map(application => application.council_reference), [ "060/331/2018" ]);
+        assert.deepStrictEqual((await query("street=Main%20North%20Road")).applications.map(application => application.council_reference), [ "060/331/2018" ]);
+        assert.deepStrictEqual((await query("receivedFrom=2018-07-01&receivedTo=2018-07-02")).applications.map(application => application.council_reference), [ "060/332/2018" ]);
+        assert.deepStrictEqual((await query("applicationNumber=060/331/2018")).applications.map(application => application.council_reference), [ "060/331/2018" ]);
+        assert.deepStrictEqual((await query("q=dwelling")).applications.map(application => application.council_reference), [ "060/333/2018", "060/332/2018" ]);
+        assert.deepStrictEqual((await query("q=storey%20dwellings")).applications.map(application => application.council_reference), [ "060/333/2018" ]);
+
+        let page = await query("pageSize=2&page=2");
+        assert.strictEqual(page.total, 3);
+        assert.deepStrictEqual(page.applications.map(application => application.council_reference), [ "060/331/2018" ]);
+
+        let csv = await get(`${baseUrl}/applications.csv?suburb=FITZROY`);
+        assert.strictEqual(csv.headers["content-type"], "text/csv; charset=utf-8");
+        assert.strictEqual(csv.body.split("\r\n")[0].split(",")[0], "council_reference");
+        assert.strictEqual(csv.body.split("\r\n")[1].split(",").slice(0, 3).join(","), "060/333/2018,7 Albert Street FITZROY SA 5082,Two Storey Dwellings");
+
+        assert.strictEqual((await get(`${baseUrl}/applications?receivedFrom=July`)).statusCode, 400);
+        assert.strictEqual((await get(`${baseUrl}/applications?pageSize=1000`)).statusCode, 400);
+        assert.strictEqual((await get(`${baseUrl}/other`)).statusCode, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("parseLines records the statistics of a run and insertRun saves them", async () => {
+    let fixture = JSON.parse(fs.readFileSync(path.join(LinesDirectory, "prospect-ocr.json")).toString());
+    let statistics = scraper.createStatistics();
+    let developmentApplications = scraper.parseLines(fixture.pdfUrl, fixture.lines, fixture.scaleFactor, fixture.origin, Object.assign({}, Options, { statistics: statistics }));
+    scraper.parseLines(fixture.pdfUrl, [ [ { text: "Unrelated", confidence: 90, choices: 1, bounds: { x: 0, y: 0, width: 50, height: 10 } } ] ], 1, fixture.origin, Object.assign({}, Options, { statistics: statistics }));
+
+    assert.strictEqual(statistics.linesSeen, fixture.lines.length + 1);
+    assert.strictEqual(statistics.rowsAccepted, developmentApplications.length);
+    assert.strictEqual(statistics.rejections[scraper.RejectionReasons.NoLayout], 1);
+    let rowRejectionCount = Object.keys(statistics.rejections).filter(reason => ![ scraper.RejectionReasons.NoLayout, scraper.RejectionReasons.LowCellConfidence, scraper.RejectionReasons.NoSlash ].includes(reason)).reduce((total, reason) => total + statistics.rejections[reason], 0);
+    assert.strictEqual(statistics.rowsSeen, statistics.rowsAccepted + rowRejectionCount);
+    assert.ok(statistics.rejectedRows.every(rejectedRow => rejectedRow.pdfUrl === fixture.pdfUrl && statistics.rejections[rejectedRow.reason] > 0));
+
+    let fileName = path.join(os.tmpdir(), `runs-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let runId = await scraper.insertRun(database, statistics);
+        let runs = await scraper.getRuns(database, 10);
+        assert.strictEqual(runs.length, 1);
+        assert.strictEqual(runs[0].id, runId);
+        assert.strictEqual(runs[0].rows_accepted, developmentApplications.length);
+        assert.deepStrictEqual(runs[0].rejections, statistics.rejections);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("parseLines writes a debug page showing the words, columns and rejected lines", () => {
+    let fixture = JSON.parse(fs.readFileSync(path.join(LinesDirectory, "prospect-ocr.json")).toString());
+    let parentDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "debug-"));
+    let directory = path.join(parentDirectory, "pages");  // does not exist yet
+    try {
+        let developmentApplications = scraper.parseLines(fixture.pdfUrl, fixture.lines, fixture.scaleFactor, fixture.origin, Object.assign({}, Options, { debugDirectory: directory }));
+        let fileNames = fs.readdirSync(directory);
+        assert.strictEqual(fileNames.length, 1);
+        assert.ok(fileNames[0].endsWith(`-page${fixture.origin.pageNumber}-image${fixture.origin.imageNumber}.html`));
+
+        let html = fs.readFileSync(path.join(directory, fileNames[0])).toString();
+        assert.ok(html.includes("<svg"));
+        assert.ok(html.includes("layout was chosen"));
+        for (let developmentApplication of developmentApplications)
+            assert.ok(html.includes(developmentApplication.applicationNumber));
+        let wordCount = [].concat(...fixture.lines).length;
+        assert.strictEqual((html.match(/<g><title>/g) || []).length, wordCount);
+    } finally {
+        if (fs.existsSync(directory)) {
+            for (let fileName of fs.readdirSync(directory))
+                fs.unlinkSync(path.join(directory, fileName));
+            fs.rmdirSync(directory);
+        }
+        fs.rmdirSync(parentDirectory);
+    }
+});
+
+test("reconcileApplications takes each field from the text layer unless it is blank there", () => {
+    let readFixture = fileName => JSON.parse(fs.readFileSync(path.join(LinesDirectory, fileName)).toString());
+    let textFixture = readFixture("prospect-text.json");
+    let ocrFixture = readFixture("prospect-ocr.json");
+    let textApplications = scraper.parseLines(textFixture.pdfUrl, textFixture.lines, textFixture.scaleFactor, textFixture.origin, Options);
+    let ocrApplications = scraper.parseLines(ocrFixture.pdfUrl, ocrFixture.lines, ocrFixture.scaleFactor, ocrFixture.origin, Options);
+
+    // The text layer is missing a description, the text layer is missing most fields of another
+    // development application (for which OCR misread the year of the received date) and OCR misread
+    // an application number (but at the same position on the page).
+
+    let blankField = (developmentApplication, property, field) => {
+        developmentApplication[property] = "";
+        Object.assign(developmentApplication.provenance.find(provenance => provenance.field === field), { rawText: "", text: "", confidence: 0 });
+    };
+    blankField(textApplications[2], "description", "description");
+    blankField(textApplications[0], "address", "address");
+    blankField(textApplications[0], "description", "description");
+    blankField(textApplications[0], "receivedDate", "date_received");
+    ocrApplications.forEach(developmentApplication => developmentApplication.layout = "prospect-scanned");
+    ocrApplications[0].receivedDate = "2017-06-29";
+    ocrApplications[0].provenance.find(provenance => provenance.field === "date_received").text = "2017-06-29";
+    ocrApplications[1].applicationNumber = "060/382/2018";
+    ocrApplications.push(Object.assign({}, ocrApplications[0], { applicationNumber: "060/334/2018" }));
+
+    let developmentApplications = scraper.reconcileApplications(
+        textApplications.map((developmentApplication, index) => { return { developmentApplication: developmentApplication, relativeY: 0.1 * (index + 1) }; }),
+        ocrApplications.map((developmentApplication, index) => { return { developmentApplication: developmentApplication, relativeY: 0.1 * (index + 1) + 0.01 }; }));
+
+    assert.deepStrictEqual(developmentApplications.map(developmentApplication => developmentApplication.applicationNumber), [ "060/331/2018", "060/332/2018", "060/333/2018", "060/334/2018" ]);
+    assert.strictEqual(developmentApplications[1].address, "4 Airlie Avenue PROSPECT SA 5082");  // from the text layer
+    assert.strictEqual(developmentApplications[2].description, "Two Storey Dwelling");  // from OCR
+    assert.deepStrictEqual(developmentApplications[2].provenance.map(provenance => provenance.source), [ "text", "text", "ocr", "text" ]);
+    assert.strictEqual(developmentApplications[2].layout, "prospect");  // most fields are from the text layer
+
+    // The warnings and layout are recomputed for the fields taken from OCR.
+
+    assert.strictEqual(developmentApplications[0].address, "12 Main North Road PROSPECT SA 5082");
+    assert.strictEqual(developmentApplications[0].receivedDate, "2017-06-29");
+    assert.deepStrictEqual(developmentApplications[0].provenance.map(provenance => provenance.source), [ "text", "ocr", "ocr", "ocr" ]);
+    assert.deepStrictEqual(developmentApplications[0].warnings, [ "The year of the application number \"060/331/2018\" does not agree with the received date 2017-06-29." ]);
+    assert.strictEqual(developmentApplications[0].layout, "prospect-scanned");
+    assert.deepStrictEqual(developmentApplications[1].warnings, []);
+});
+
+test("fetchPdfLinks follows pagination and fetchDocument retries and makes conditional requests", async () => {
+    let requestCounts = {};
+    let userAgents = [];
+    let server = http.createServer((request, response) => {
+        requestCounts[request.url] = (requestCounts[request.url] || 0) + 1;
+        userAgents.push(request.headers["user-agent"]);
+        if (request.url === "/register")
+            response.end("<h3><a href='/files/a.pdf'>A</a></h3><h3><a href='/files/b.pdf'>B</a></h3><a rel='next' href='/register?page=2'>Next</a>");
+        else if (request.url === "/register?page=2" && requestCounts[request.url] === 1) {
+            response.writeHead(503);  // a transient failure
+            response.end();
+        } else if (request.url === "/register?page=2")
+            response.end("<h3><a href='/files/b.pdf'>B</a></h3><h3><a href='/files/c.pdf'>C</a></h3><a rel='next' href='/register'>First</a>");
+        else if (request.url === "/files/a.pdf" && request.headers["if-none-match"] === "\"a1\"") {
+            response.writeHead(304);
+            response.end();
+        } else if (request.url === "/files/a.pdf") {
+            response.writeHead(200, { "ETag": "\"a1\"" });
+            response.end("%PDF-1.4 a");
+        } else if (request.url === "/files/b.pdf")
+            response.end("%PDF-1.4 b");  // no ETag or Last-Modified header
+        else if (request.url === "/slow")
+            setTimeout(() => response.end(), 2000);
+        else {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+    try {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        let baseUrl = `http://127.0.0.1:${server.address().port}`;
+        let fetchOptions = { retryCount: 2, retryDelay: 10, timeout: 200 };
+
+        let council = { developmentApplicationsUrl: `${baseUrl}/register`, linkSelector: "h3 a" };
+        let pdfLinks = await scraper.fetchPdfLinks(council, fetchOptions);
+        assert.deepStrictEqual(pdfLinks.map(pdfLink => pdfLink.url), [ `${baseUrl}/files/a.pdf`, `${baseUrl}/files/b.pdf`, `${baseUrl}/files/c.pdf` ]);
+        assert.deepStrictEqual(pdfLinks.map(pdfLink => pdfLink.title), [ "A", "B", "C" ]);
+        assert.strictEqual(requestCounts["/register"], 1);
+        assert.strictEqual(requestCounts["/register?page=2"], 2);
+        assert.ok(userAgents.every(userAgent => userAgent === scraper.UserAgent));
+
+        let document = await scraper.fetchDocument(`${baseUrl}/files/a.pdf`, null, fetchOptions);
+        assert.strictEqual(document.isModified, true);
+        assert.strictEqual(document.data.toString(), "%PDF-1.4 a");
+        let unchangedDocument = await scraper.fetchDocument(`${baseUrl}/files/a.pdf`, { etag: document.etag, last_modified: document.lastModified, content_hash: document.contentHash }, fetchOptions);
+        assert.strictEqual(unchangedDocument.isModified, false);
+        assert.strictEqual(unchangedDocument.data, null);
+        assert.strictEqual(unchangedDocument.contentHash, document.contentHash);
+
+        let otherDocument = await scraper.fetchDocument(`${baseUrl}/files/b.pdf`, null, fetchOptions);
+        assert.strictEqual((await scraper.fetchDocument(`${baseUrl}/files/b.pdf`, { content_hash: otherDocument.contentHash }, fetchOptions)).isModified, false);
+
+        await assert.rejects(scraper.fetchUrl(`${baseUrl}/missing.pdf`, fetchOptions), /404/);
+        assert.strictEqual(requestCounts["/missing.pdf"], 1);  // not retried
+        await assert.rejects(scraper.fetchUrl(`${baseUrl}/slow`, fetchOptions), /Could not retrieve/);
+        assert.strictEqual(requestCounts["/slow"], 3);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+// Creates a PDF file containing a development register in the same format as
+// test/fixtures/pdfs/prospect-text.pdf, with a page for each array of rows (each row is the
+// received date, application number, description, applicant and address, unless other column
+// headings are specified).
+
+function createRegisterPdf(pages, headings) {
+    let columns = [ 40, 110, 200, 380, 450 ];
+    let objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [ ${pages.map((page, index) => `${4 + index * 2} 0 R`).join(" ")} ] /Count ${pages.length} >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>"
+    ];
+    for (let index = 0; index < pages.length; index++) {
+        let rows = [ headings || [ "Date Received", "Application No", "Description", "Applicant", "Address" ] ].concat(pages[index]);
+        let operators = [ "BT", "/F1 7 Tf" ];
+        rows.forEach((row, rowIndex) => row.forEach((text, columnIndex) => operators.push(`1 0 0 1 ${columns[columnIndex]} ${780 - rowIndex * 20} Tm (${text.replace(/[\\()]/g, "\\$&")}) Tj`)));
+        operators.push("ET");
+        let content = operators.join("\n");
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [ 0 0 612 842 ] /Contents ${5 + index * 2} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    }
+
+    let text = "%PDF-1.4\n";
+    let offsets = [];
+    for (let index = 0; index < objects.length; index++) {
+        offsets.push(text.length);
+        text += `${index + 1} 0 obj\n${objects[index]}\nendobj\n`;
+    }
+    let xrefOffset = text.length;
+    text += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => String(offset).padStart(10, "0") + " 00000 n \n").join("")}`;
+    text += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(text, "latin1");
+}
+
+// Creates a row of a development register (see createRegisterPdf) for the specified sequence
+// number (for example, "060/335/2018" for 335).
+
+function createRegisterRow(sequenceNumber, address) {
+    return [ "2/07/2018", `060/${sequenceNumber}/2018`, "Verandah", "J Smith", address || "12 Main North Road PROSPECT SA 5082" ];
+}
+
+// Starts a stand-in web server for documents (the files map each path to the data of a document
+// and may be changed while the server is running).  Each response includes an ETag (a hash of the
+// data) so that conditional requests can be tested.  The number of requests for each path is
+// counted in the requestCounts of the server.
+
+async function startDocumentServer(files) {
+    let server = http.createServer((request, response) => {
+        server.requestCounts[request.url] = (server.requestCounts[request.url] || 0) + 1;
+        let data = files[request.url];
+        if (data === undefined) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        let etag = `"${crypto.createHash("sha256").update(data).digest("hex").substring(0, 16)}"`;
+        response.writeHead((request.headers["if-none-match"] === etag) ? 304 : 200, { "ETag": etag });
+        response.end((request.headers["if-none-match"] === etag) ? undefined : data);
+    });
+    server.requestCounts = {};
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+// Gets the status and number of pages completed of each document in the ledger (for example,
+// { "/files/a.pdf": "done 3" }, keyed by the path of the URL).
+
+async function getDocumentStatuses(database) {
+    let statuses = {};
+    for (let document of await scraper.getDocuments(database))
+        statuses[new URL(document.url).pathname] = `${document.status} ${document.pages_completed}`;
+    return statuses;
+}
+
+test("parseDocuments resumes partially parsed documents first and stops at the page and time budgets", async () => {
+    let fileName = path.join(os.tmpdir(), `ledger-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    let server = await startDocumentServer({
+        "/files/a.pdf": createRegisterPdf([ [ createRegisterRow(401) ], [ createRegisterRow(402) ], [ createRegisterRow(403) ] ]),
+        "/files/b.pdf": createRegisterPdf([ [ createRegisterRow(404) ] ]),
+        "/files/broken.pdf": Buffer.from("This is not a PDF file.")
+    });
+    try {
+        let sink = scraper.createMemorySink();
+        await scraper.updateDocuments(database, [ "b", "a", "broken", "c" ].map(name => { return { url: `${server.baseUrl}/files/${name}.pdf` }; }));
+
+        // Simulate a run that was terminated after parsing the first page of a.pdf.
+
+        await scraper.updateDocumentStatus(database, `${server.baseUrl}/files/a.pdf`, scraper.DocumentStatus.InProgress, 1, 1);
+        assert.deepStrictEqual((await scraper.getUnprocessedDocuments(database)).map(document => new URL(document.url).pathname), [ "/files/a.pdf", "/files/b.pdf", "/files/broken.pdf", "/files/c.pdf" ]);
+
+        // The time budget is used up before any page is parsed.
+
+        await scraper.parseDocuments(database, sink, Options, 0, 10);
+        assert.deepStrictEqual(server.requestCounts, {});
+
+        // The page budget stops parsing part way through a.pdf (which resumes at the second page).
+
+        await scraper.parseDocuments(database, sink, Options, 30, 1);
+        assert.deepStrictEqual(sink.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber), [ "060/402/2018" ]);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "in progress 2", "/files/b.pdf": "pending 0", "/files/broken.pdf": "pending 0", "/files/c.pdf": "pending 0" });
+
+        // The next run completes a.pdf and b.pdf, and records broken.pdf and the missing c.pdf as
+        // failed.
+
+        await scraper.parseDocuments(database, sink, Options, 30, 10);
+        assert.deepStrictEqual(sink.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber), [ "060/402/2018", "060/403/2018", "060/404/2018" ]);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "done 3", "/files/b.pdf": "done 1", "/files/broken.pdf": "failed 0", "/files/c.pdf": "failed 0" });
+
+        // A document that has been started too many times is given up on without retrieving it.
+
+        await scraper.updateDocumentStatus(database, `${server.baseUrl}/files/broken.pdf`, scraper.DocumentStatus.Pending, 0, scraper.MaximumAttempts);
+        await scraper.parseDocuments(database, sink, Options, 30, 10);
+        assert.strictEqual(server.requestCounts["/files/broken.pdf"], 1);
+        let brokenDocument = (await scraper.getDocuments(database)).find(document => document.url.endsWith("/broken.pdf"));
+        assert.strictEqual(brokenDocument.status, scraper.DocumentStatus.Failed);
+        assert.strictEqual(brokenDocument.error, "Too many attempts.");
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("recheckDocuments leaves unchanged documents alone and parses changed documents again", async () => {
+    let fileName = path.join(os.tmpdir(), `recheck-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    let files = { "/files/a.pdf": createRegisterPdf([ [ createRegisterRow(411) ] ]) };
+    let server = await startDocumentServer(files);
+    try {
+        let sink = scraper.createMemorySink();
+        await scraper.updateDocuments(database, [ { url: `${server.baseUrl}/files/a.pdf` } ]);
+        await scraper.parseDocuments(database, sink, Options, 30, 10);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "done 1" });
+
+        // An unchanged document is not downloaded again (the server responds "304 Not Modified").
+
+        await scraper.recheckDocuments(database);
+        assert.strictEqual(server.requestCounts["/files/a.pdf"], 2);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "done 1" });
+
+        // A changed document is returned to the pending documents and parsed again.
+
+        files["/files/a.pdf"] = createRegisterPdf([ [ createRegisterRow(411), createRegisterRow(422) ] ]);
+        await scraper.recheckDocuments(database);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "pending 0" });
+        await scraper.parseDocuments(database, sink, Options, 30, 10);
+        assert.deepStrictEqual(await getDocumentStatuses(database), { "/files/a.pdf": "done 1" });
+        assert.deepStrictEqual(sink.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber), [ "060/411/2018", "060/422/2018" ]);
+        assert.strictEqual(server.requestCounts["/files/a.pdf"], 4);
+
+        let document = (await scraper.getDocuments(database))[0];
+        assert.ok(document.etag !== null);
+        assert.strictEqual(document.content_hash, crypto.createHash("sha256").update(files["/files/a.pdf"]).digest("hex"));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("parseReportingPeriod and findMissingReportingPeriods find the months of the register", () => {
+    assert.strictEqual(scraper.parseReportingPeriod("Development Register July 2018"), "2018-07");
+    assert.strictEqual(scraper.parseReportingPeriod("https://www.prospect.sa.gov.au/webdata/resources/files/DA_Register_Sept_2017.pdf"), "2017-09");
+    assert.strictEqual(scraper.parseReportingPeriod("https://example.com/files/register%202018-03.pdf"), "2018-03");
+    assert.strictEqual(scraper.parseReportingPeriod("Development Register"), null);
+    assert.deepStrictEqual(scraper.findMissingReportingPeriods([ "2018-02", "2017-11", null, "2018-01", "2017-11" ]), [ "2017-12" ]);
+    assert.strictEqual(scraper.getPageKind(0, 2), "scanned");
+    assert.strictEqual(scraper.getPageKind(10, 0), "text");
+});
+
+test("the database sink links each application to its document and page", async () => {
+    let fileName = path.join(os.tmpdir(), `documents-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let pdfUrl = "https://www.prospect.sa.gov.au/webdata/resources/files/Development_Register_July_2018.pdf";
+        await scraper.updateDocuments(database, [ { url: pdfUrl, title: "Development Register" } ]);
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(path.join(PdfsDirectory, "prospect-text.pdf"))), disableFontFace: true });
+        await scraper.parsePdf(scraper.createDatabaseSink(database), pdfUrl, pdf, Options);
+
+        let documents = await scraper.getDocuments(database);
+        assert.strictEqual(documents.length, 1);
+        assert.strictEqual(documents[0].title, "Development Register");
+        assert.strictEqual(documents[0].reporting_period, "2018-07");
+        assert.strictEqual(documents[0].page_count, 1);
+        assert.strictEqual(documents[0].text_pages, 1);
+        assert.strictEqual(documents[0].scanned_pages, 0);
+        assert.strictEqual(documents[0].application_count, 3);
+
+        let rows = await scraper.getRows(database);
+        assert.ok(rows.every(row => row.document_url === pdfUrl && row.page_number === 1));
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("findLocalPdfs finds local PDF files and parseLocalPdfs records their source URLs", async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "local-pdfs-"));
+    let fileName = path.join(os.tmpdir(), `local-pdfs-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        fs.writeFileSync(path.join(directory, "b.pdf"), createRegisterPdf([ [ createRegisterRow(422) ] ]));
+        fs.writeFileSync(path.join(directory, "a.pdf"), createRegisterPdf([ [ createRegisterRow(411) ] ]));
+        fs.writeFileSync(path.join(directory, "notes.txt"), "Not a PDF.");
+        fs.writeFileSync(path.join(directory, scraper.ManifestFileName), JSON.stringify({ "a.pdf": "https://example.com/a.pdf" }));
+
+        // The source URL is taken from the command line, then the manifest and otherwise is a file
+        // URL.
+
+        let fileUrl = urlparser.pathToFileURL(path.join(directory, "b.pdf")).href;
+        assert.deepStrictEqual(scraper.findLocalPdfs(directory).map(localPdf => `${path.basename(localPdf.path)} ${localPdf.url}`), [ "a.pdf https://example.com/a.pdf", `b.pdf ${fileUrl}` ]);
+        assert.strictEqual(scraper.findLocalPdfs(path.join(directory, "a.pdf"))[0].url, "https://example.com/a.pdf");
+        assert.strictEqual(scraper.findLocalPdfs(path.join(directory, "a.pdf"), "https://example.com/other.pdf")[0].url, "https://example.com/other.pdf");
+        assert.strictEqual(scraper.findLocalPdfs(path.join(directory, "b.pdf"))[0].url, fileUrl);
+
+        await scraper.parseLocalPdfs(scraper.createDatabaseSink(database), directory, undefined, Options);
+        assert.deepStrictEqual((await scraper.getRows(database)).map(row => `${row.council_reference} ${row.info_url}`), [ "060/411/2018 https://example.com/a.pdf", `060/422/2018 ${fileUrl}` ]);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+        for (let directoryFileName of fs.readdirSync(directory))
+            fs.unlinkSync(path.join(directory, directoryFileName));
+        fs.rmdirSync(directory);
+    }
+});
+
+test("the layout chosen for each document is recorded in the ledger", async () => {
+    let fileName = path.join(os.tmpdir(), `layouts-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let files = {
+            "https://example.com/a.pdf": createRegisterPdf([ [ createRegisterRow(411) ] ]),
+            "https://example.com/b.pdf": createRegisterPdf([ [ createRegisterRow(422).filter((text, index) => index !== 3) ] ], [ "Date Received", "Application No", "Description", "Address" ])
+        };
+        await scraper.updateDocuments(database, Object.keys(files).map(url => { return { url: url, title: null }; }));
+        for (let url of Object.keys(files))
+            await scraper.parsePdf(scraper.createDatabaseSink(database), url, await pdfjs.getDocument({ data: new Uint8Array(files[url]), disableFontFace: true }), Options);
+
+        let documents = await scraper.getDocuments(database);
+        assert.deepStrictEqual(documents.map(document => `${document.url} ${document.layout} ${document.application_count}`), [
+            "https://example.com/a.pdf prospect 1",
+            "https://example.com/b.pdf prospect-without-applicant 1"
+        ]);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("the development types are saved and saved again without duplicates", async () => {
+    let fileName = path.join(os.tmpdir(), `development-types-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let pdfUrl = "https://www.prospect.sa.gov.au/prospect-text.pdf";
+        let data = fs.readFileSync(path.join(PdfsDirectory, "prospect-text.pdf"));
+        let getDevelopmentTypes = async () => (await scraper.getDevelopmentTypes(database)).map(row => `${row.council_reference} ${row.category} ${row.count}`);
+        await scraper.parsePdf(scraper.createDatabaseSink(database), pdfUrl, await pdfjs.getDocument({ data: new Uint8Array(data), disableFontFace: true }), Options);
+        let developmentTypes = await getDevelopmentTypes();
+        assert.deepStrictEqual(developmentTypes, [
+            "060/331/2018 carport/verandah null",
+            "060/332/2018 demolition null",
+            "060/333/2018 new dwelling null"
+        ]);
+
+        // Parsing the same document again (or classifying again with --classify) replaces the
+        // development types rather than adding to them.
+
+        await scraper.parsePdf(scraper.createDatabaseSink(database), pdfUrl, await pdfjs.getDocument({ data: new Uint8Array(data), disableFontFace: true }), Options);
+        assert.deepStrictEqual(await getDevelopmentTypes(), developmentTypes);
+        await scraper.insertDevelopmentTypes(database, "060/333/2018", scraper.classifyDescription("Construction of Two Dwellings"));
+        assert.deepStrictEqual((await getDevelopmentTypes()).slice(2), [ "060/333/2018 new dwelling 2" ]);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("insertHistory adds a version only when a field changes and getChangedApplications filters by date", async () => {
+    let fileName = path.join(os.tmpdir(), `history-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let createApplication = (applicationNumber, description, scrapeDate) => {
+            return { applicationNumber: applicationNumber, address: "12 Main North Road PROSPECT SA 5082", description: description, receivedDate: "2018-07-02", informationUrl: "https://example.com/a.pdf", scrapeDate: scrapeDate };
+        };
+
+        assert.strictEqual(await scraper.insertHistory(database, createApplication("060/331/2018", "Verandah", "2018-07-10")), true);
+        assert.strictEqual(await scraper.insertHistory(database, createApplication("060/331/2018", "Verandah", "2018-07-11")), false);  // identical (apart from the scrape date)
+        assert.deepStrictEqual(await scraper.getChangedApplications(database), []);
+
+        assert.strictEqual(await scraper.insertHistory(database, createApplication("060/331/2018", "Carport", "2018-07-12")), true);
+        assert.strictEqual(await scraper.insertHistory(database, createApplication("060/331/2018", "Carport", "2018-07-13")), false);
+        await scraper.insertHistory(database, createApplication("060/332/2018", "Dwelling", "2018-06-01"));
+        await scraper.insertHistory(database, createApplication("060/332/2018", "Two Storey Dwelling", "2018-06-02"));
+
+        let changedApplications = await scraper.getChangedApplications(database);
+        assert.deepStrictEqual(changedApplications.map(changedApplication => changedApplication.applicationNumber), [ "060/331/2018", "060/332/2018" ]);
+        assert.deepStrictEqual(changedApplications[0].versions.map(version => `${version.description} ${version.date_scraped}`), [ "Verandah 2018-07-10", "Carport 2018-07-12" ]);
+
+        // Only the applications whose latest version was scraped on or after the date.
+
+        assert.deepStrictEqual((await scraper.getChangedApplications(database, "2018-07-12")).map(changedApplication => changedApplication.applicationNumber), [ "060/331/2018" ]);
+        assert.deepStrictEqual(await scraper.getChangedApplications(database, "2018-07-13"), []);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("manual corrections survive parsing again and are listed once stale", async () => {
+    let fileName = path.join(os.tmpdir(), `corrections-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    try {
+        let pdfUrl = "https://www.prospect.sa.gov.au/prospect-text.pdf";
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(path.join(PdfsDirectory, "prospect-text.pdf"))), disableFontFace: true });
+        let corrections = {
+            "060/331/2018": { address: "14 Main North Road PROSPECT SA 5082", note: "checked against the plans" },
+            "060/332/2018": { description: "Demolition of Existing Dwelling" },  // the same as the scraped value
+            "060/999/2018": { receivedDate: "2018-07-01" }  // not in the database
+        };
+        let options = Object.assign({}, Options, { corrections: corrections });
+        await scraper.parsePdf(scraper.createDatabaseSink(database), pdfUrl, pdf, options);
+        await scraper.parsePdf(scraper.createDatabaseSink(database), pdfUrl, pdf, options);  // parsing again does not overwrite the correction
+
+        let rows = await scraper.getRows(database);
+        assert.strictEqual(rows.find(row => row.council_reference === "060/331/2018").address, "14 Main North Road PROSPECT SA 5082");
+        assert.strictEqual(rows.find(row => row.council_reference === "060/331/2018").address_street_number, "14");
+        let provenance = (await scraper.getProvenance(database)).find(provenance => provenance.council_reference === "060/331/2018" && provenance.field === "address");
+        assert.strictEqual(provenance.source, "manual");
+        assert.strictEqual(provenance.raw_text, "12 Main North Road PROSPECT SA 5082");
+
+        // A correction for an application that is not in the database is only stale once every
+        // document has been parsed.
+
+        let getStaleCorrections = async isRegisterParsed => scraper.findStaleCorrections(await scraper.getRows(database), await scraper.getProvenance(database), corrections, isRegisterParsed).map(correction => `${correction.applicationNumber} ${correction.field}`);
+        assert.deepStrictEqual(await getStaleCorrections(false), [ "060/332/2018 description" ]);
+        assert.deepStrictEqual(scraper.findUnseenCorrections(await scraper.getRows(database), corrections), [ "060/999/2018" ]);
+        assert.deepStrictEqual(await getStaleCorrections(true), [ "060/332/2018 description", "060/999/2018 receivedDate" ]);
+        corrections["060/331/2018"].address = "12 Main North Road PROSPECT SA 5082";
+        assert.strictEqual((await getStaleCorrections(true)).length, 3);
+
+        let correctionsFileName = path.join(os.tmpdir(), `corrections-${process.pid}.json`);
+        fs.writeFileSync(correctionsFileName, JSON.stringify({ "060/331/2018": { applicant: "Someone" } }));
+        assert.throws(() => scraper.readCorrections(correctionsFileName), /unknown field "applicant"/);
+        fs.unlinkSync(correctionsFileName);
+    } finally {
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+// Starts a stand-in SMTP server that accepts every message (collecting the text of each message
+// in the messages array of the server).
+
+async function startSmtpServer() {
+    let server = net.createServer(socket => {
+        let received = "";
+        let isData = false;
+        socket.setEncoding("utf8");
+        socket.write("220 localhost\r\n");
+        socket.on("data", data => {
+            received += data;
+            let index;
+            while ((index = received.indexOf(isData ? "\r\n.\r\n" : "\r\n")) >= 0) {
+                let text = received.substring(0, index);
+                received = received.substring(index + (isData ? 5 : 2));
+                if (isData) {
+                    server.messages.push(text);
+                    isData = false;
+                    socket.write("250 OK\r\n");
+                } else if (text === "DATA") {
+                    isData = true;
+                    socket.write("354 Send the message\r\n");
+                } else if (text === "QUIT")
+                    socket.end("221 Bye\r\n");
+                else
+                    socket.write(text.startsWith("EHLO") ? "250-localhost\r\n250 8BITMIME\r\n" : "250 OK\r\n");
+            }
+        });
+    });
+    server.messages = [];
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return server;
+}
+
+test("createDatabaseSink queues alerts for new applications that match saved watches and they are sent once", async () => {
+    let fileName = path.join(os.tmpdir(), `alerts-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    let requests = [];
+    let webhookServer = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", chunk => body += chunk);
+        request.on("end", () => {
+            requests.push(JSON.parse(body));
+            response.writeHead((requests.length === 1) ? 500 : 200);  // the first request fails
+            response.end();
+        });
+    });
+    let smtpServer = await startSmtpServer();
+    try {
+        await new Promise(resolve => webhookServer.listen(0, "127.0.0.1", resolve));
+        let webhookUrl = `http://127.0.0.1:${webhookServer.address().port}/hook`;
+        let alertOptions = { smtpHost: "127.0.0.1", smtpPort: smtpServer.address().port, smtpFrom: "scraper@example.com" };
+
+        assert.throws(() => scraper.createWatch("street", "Nowhere Street", webhookUrl, Options), /not in the list of street names/);
+        assert.throws(() => scraper.createWatch("street", "Main North Road", "someone@example.com", Options), /must notify a webhook/);
+        assert.throws(() => scraper.createWatch("colour", "red", webhookUrl, Options), /Unknown watch type/);
+        assert.deepStrictEqual(scraper.createWatch("suburb", "prospect", webhookUrl, Options).value, "PROSPECT");
+
+        for (let watch of [
+            scraper.createWatch("street", "main north road", webhookUrl, Options),
+            scraper.createWatch("suburb", "fitzroy", webhookUrl, Options),
+            scraper.createWatch("keyword", "demolition", "mailto:someone@example.com", Options),
+            scraper.createWatch("prefix", "060/333", webhookUrl, Options)
+        ])
+            await scraper.addWatch(database, watch.type, watch.value, watch.notify);
+
+        // Only documents found after the initial backfill (here, of an older document) are alerted.
+
+        await scraper.updateDocuments(database, [ { url: "https://www.prospect.sa.gov.au/old.pdf" } ]);
+        await scraper.updateDocumentStatus(database, "https://www.prospect.sa.gov.au/old.pdf", scraper.DocumentStatus.Done, 1, 1);
+        await scraper.updateDocuments(database, [ { url: "https://www.prospect.sa.gov.au/a.pdf" } ]);
+
+        let sink = scraper.createDatabaseSink(database);
+        let createApplication = (applicationNumber, address, description, informationUrl) => {
+            let formattedAddress = scraper.formatAddress(address, Options);
+            return { applicationNumber: applicationNumber, address: formattedAddress.text, addressComponents: formattedAddress.components, description: description, informationUrl: informationUrl || "https://www.prospect.sa.gov.au/a.pdf", commentUrl: Options.commentUrl, scrapeDate: "2018-08-01", receivedDate: "2018-07-02" };
+        };
+        await sink.insert(createApplication("060/331/2018", "12 Main North Road PROSPECT SA 5082", "Carport/Verandah"));  // fails (and so remains pending)
+        await sink.insert(createApplication("060/332/2018", "4 Airlie Avenue MEDINDIE GARDENS SA 5081", "Demolition of Existing Dwelling"));
+        await sink.insert(createApplication("060/333/2018", "7 Albert Street FITZROY SA 5082", "Two Storey Dwelling"));  // matches two watches
+        await sink.insert(createApplication("060/334/2018", "9 Alabama Avenue PROSPECT SA 5082", "Verandah"));  // matches no watches
+        await sink.insert(createApplication("060/333/2018", "7 Albert Street FITZROY SA 5082", "Two Storey Dwellings"));  // not new
+        await sink.insert(createApplication("060/335/2018", "3 Main North Road PROSPECT SA 5082", "Verandah", "https://www.prospect.sa.gov.au/old.pdf"));  // from the backfill
+        await sink.insert(createApplication("060/336/2018", "3 Main North Road PROSPECT SA 5082", "Verandah", "file:///archive/register.pdf"));  // from a local PDF file
+        assert.strictEqual(requests.length, 0);  // nothing is sent while parsing
+
+        // A failed alert is attempted once in each run.
+
+        assert.deepStrictEqual(await scraper.sendPendingAlerts(database, alertOptions), { sent: 2, failed: 1 });
+        assert.deepStrictEqual(requests.map(request => request.application.applicationNumber), [ "060/331/2018", "060/333/2018" ]);
+        assert.deepStrictEqual(await scraper.sendPendingAlerts(database, alertOptions), { sent: 1, failed: 0 });
+        assert.deepStrictEqual(requests.map(request => request.application.applicationNumber), [ "060/331/2018", "060/333/2018", "060/331/2018" ]);
+        assert.deepStrictEqual(requests[1].watches.map(watch => watch.type), [ "suburb", "prefix" ]);
+        assert.strictEqual(smtpServer.messages.length, 1);
+        assert.ok(smtpServer.messages[0].includes("To: someone@example.com"));
+        assert.ok(smtpServer.messages[0].includes("Application number: 060/332/2018"));
+
+        // Already alerted applications are not alerted again (even if parsed again in a later run).
+
+        assert.deepStrictEqual(await scraper.sendPendingAlerts(database, alertOptions), { sent: 0, failed: 0 });
+        await scraper.createDatabaseSink(database).insert(createApplication("060/331/2018", "12 Main North Road PROSPECT SA 5082", "Carport/Verandah"));
+        assert.strictEqual(requests.length, 3);
+        assert.strictEqual(smtpServer.messages.length, 1);
+    } finally {
+        await new Promise(resolve => webhookServer.close(resolve));
+        await new Promise(resolve => smtpServer.close(resolve));
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+test("the initial backfill of the register queues no alerts even when it takes several runs", async () => {
+    let fileName = path.join(os.tmpdir(), `backfill-${process.pid}.sqlite`);
+    let database = await scraper.initializeDatabase(fileName);
+    let files = {
+        "/files/a.pdf": createRegisterPdf([ [ createRegisterRow(501) ], [ createRegisterRow(502) ] ]),
+        "/files/b.pdf": createRegisterPdf([ [ createRegisterRow(503) ] ]),
+        "/files/c.pdf": createRegisterPdf([ [ createRegisterRow(504) ] ])
+    };
+    let server = await startDocumentServer(files);
+    try {
+        let watch = scraper.createWatch("street", "Main North Road", "https://example.com/hook", Options);
+        await scraper.addWatch(database, watch.type, watch.value, watch.notify);
+        let sink = scraper.createDatabaseSink(database);
+        let getAlertedApplications = async () => (await scraper.getPendingAlerts(database)).map(alert => alert.council_reference);
+
+        // The first discovery of the register is parsed over three runs (one page in each run).
+
+        for (let run = 1; run <= 3; run++) {
+            await scraper.updateDocuments(database, [ "a", "b" ].map(name => { return { url: `${server.baseUrl}/files/${name}.pdf` }; }));
+            await scraper.parseDocuments(database, sink, Options, 30, 1);
+            assert.strictEqual((await scraper.getRows(database)).length, run);
+            assert.deepStrictEqual(await getAlertedApplications(), [], `Run ${run} queued alerts.`);
+        }
+        assert.strictEqual(await scraper.isBackfillComplete(database), true);
+
+        // A document found after the backfill is alerted (but a local PDF file is not).
+
+        await scraper.updateDocuments(database, [ "c", "a", "b" ].map(name => { return { url: `${server.baseUrl}/files/${name}.pdf` }; }));
+        await scraper.parseDocuments(database, sink, Options, 30, 1);
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(createRegisterPdf([ [ createRegisterRow(505) ] ])), disableFontFace: true });
+        await scraper.parsePdf(sink, "file:///archive/register.pdf", pdf, Options);
+        assert.deepStrictEqual(await getAlertedApplications(), [ "060/504/2018" ]);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => database.close(resolve));
+        fs.unlinkSync(fileName);
+    }
+});
+
+// Golden file tests of findLayout (and so findColumns) and parseLines using recorded lines of
+// words.
+
+for (let fileName of fs.readdirSync(LinesDirectory).filter(fileName => fileName.endsWith(".json") && !fileName.endsWith(".expected.json")).sort()) {
+    test(`parseLines produces the expected applications for ${fileName}`, () => {
+        let fixture = JSON.parse(fs.readFileSync(path.join(LinesDirectory, fileName)).toString());
+        let layout = scraper.findLayout(fixture.lines, fixture.scaleFactor, Options.layouts);
+        let developmentApplications = scraper.parseLines(fixture.pdfUrl, fixture.lines, fixture.scaleFactor, fixture.origin, Options);
+        checkExpected(path.join(LinesDirectory, fileName.replace(/\.json$/, ".expected.json")), {
+            layout: (layout === null) ? null : layout.name,
+            columns: (layout === null) ? null : layout.columns.map(column => column.x),
+            developmentApplications: simplify(developmentApplications)
+        });
+    });
+}
+
+// Golden file tests of sample PDF files (collecting the development applications in memory).
+
+for (let fileName of fs.readdirSync(PdfsDirectory).filter(fileName => fileName.endsWith(".pdf")).sort()) {
+    test(`parsePdf produces the expected applications for ${fileName}`, async () => {
+        let pdf = await pdfjs.getDocument({ data: new Uint8Array(fs.readFileSync(path.join(PdfsDirectory, fileName))), disableFontFace: true });
+        let sink = scraper.createMemorySink();
+        await scraper.parsePdf(sink, `https://www.prospect.sa.gov.au/${fileName}`, pdf, Options);
+        checkExpected(path.join(PdfsDirectory, fileName.replace(/\.pdf$/, ".expected.json")), {
+            developmentApplications: simplify(sink.developmentApplications)
+        });
+    });
+}
+
+// Runs the tests one after another (writing the output of the scraper only if a test fails).
+
+async function run() {
+    let failureCount = 0;
+    let log = console.log;
+    let logError = console.error;
+    for (let test of tests) {
+        let output = [];
+        console.log = console.error = (...args) => output.push(args.join(" "));
+        try {
+            await test.callback();
+            console.log = log;
+            console.error = logError;
+            console.log(`ok - ${test.name}`);
+        } catch (error) {
+            console.log = log;
+            console.error = logError;
+            failureCount++;
+            console.log(`not ok - ${test.name}`);
+            for (let line of output)
+                console.log(`    # ${line}`);
+            console.log(error.message);
+        }
+    }
+
+    console.log(`${tests.length - failureCount} of ${tests.length} tests passed.`);
+    if (failureCount > 0)
+        process.exitCode = 1;
+}
+
+run();